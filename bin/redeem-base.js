@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+// Command-line card tools on the same core as the server: redeem-base <inspect|verify|redeem> [options]
+const fs = require('fs');
+const readline = require('readline');
+const { configFromEnv } = require('../lib/config');
+const { createRedeemCore } = require('../lib/redeem-core');
+const { parseCardsCsv } = require('../lib/batches');
+const { classifyError } = require('../lib/error-codes');
+
+// Client ID of CLI redemptions in the ledger, webhooks and PARTNER_FEES_CLIENTS
+const CLIENT = 'cli';
+
+const USAGE = `Usage: redeem-base <command> [options]
+
+Commands:
+  inspect <cardId>                  Show a card, its amount and fees
+  verify <cardId>                   Check the card secret read from stdin
+  redeem <cardId> --to <recipient>  Redeem a card with the secret read from stdin
+  redeem --file <csv> --to <recipient>
+                                    Redeem every "cardId,cardSecret" line of a file
+
+Options:
+  --to <recipient>                  Recipient address, ENS or Basename name
+  --dry-run                         Check, sign and simulate the redemption without sending it
+  --yes                             Redeem even when the recipient has warnings (e.g. it is a contract)
+  --signer-key-file <file>          Pay gas from the private key in this file instead of SERVICE_PRIVATE_KEY
+  --json                            Print results as JSON
+  --verbose                         Log details (card sources, failures) to stderr
+
+Configuration comes from the same environment variables as the server. Redemptions are
+recorded in LEDGER_FILE with client "cli".`;
+
+const FLAGS = ['dry-run', 'yes', 'json', 'verbose'];
+
+// Parse positional arguments, "--flag value" pairs and the boolean FLAGS
+function parseArgs(args) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) {
+      positional.push(args[i]);
+      continue;
+    }
+    const name = args[i].slice(2);
+    if (FLAGS.includes(name)) {
+      options[name] = true;
+    } else if (args[i + 1] === undefined || args[i + 1].startsWith('--')) {
+      throw new Error(`Missing value for --${name}`);
+    } else {
+      options[name] = args[++i];
+    }
+  }
+  return { positional, options };
+}
+
+// A card secret as the server accepts it: 20 letters in any case, with or without dashes
+function normalizeSecret(secret) {
+  const normalized = String(secret).trim().toUpperCase();
+  if (!/^[A-Z]{5}-?[A-Z]{5}-?[A-Z]{5}-?[A-Z]{5}$/.test(normalized)) {
+    throw new Error('A card secret is 20 letters (ABCDE-FGHIJ-KLMNO-PQRST)');
+  }
+  return normalized;
+}
+
+// First line of stdin, with a prompt when it is a terminal
+async function readSecret() {
+  if (process.stdin.isTTY) process.stderr.write('Card secret: ');
+  const lines = readline.createInterface({ input: process.stdin });
+  for await (const line of lines) {
+    lines.close();
+    return normalizeSecret(line);
+  }
+  throw new Error('No card secret on stdin');
+}
+
+function loadCore(options) {
+  const config = configFromEnv(process.env);
+  if (options['signer-key-file']) {
+    config.signer = fs.readFileSync(options['signer-key-file'], 'utf8').trim();
+  }
+  const log = (...args) => console.error(...args);
+  const logger = options.verbose ? { info: log, warn: log, error: log } : { info() {}, warn() {}, error() {} };
+  return createRedeemCore({ ...config, logger });
+}
+
+function print(options, json, lines) {
+  console.log(options.json ? JSON.stringify(json, null, 2) : lines.join('\n'));
+}
+
+async function inspect(core, cardId, options) {
+  const card = await core.getCardInfo(cardId, CLIENT);
+  print(options, card, [
+    `Card ${card.cardId} on ${card.chainName} (${card.chainId})`,
+    `  Amount:      ${card.formattedAmount}`,
+    `  Status:      ${card.active ? 'active' : card.status || 'inactive'}`,
+    `  Partner fee: ${card.fees.formattedPartnerFee} (${card.fees.partnerFeePercent}%), recipient gets ${card.fees.formattedNetAmount}`,
+    `  Created:     ${card.createdAt || 'unknown'} by ${card.creator || 'unknown'}`,
+    ...(card.message ? [`  Message:     ${card.message}`] : []),
+    `  Redeemable:  ${card.redemptionAvailable ? 'yes' : `no (${card.unavailableReason})`}`
+  ]);
+  return true;
+}
+
+async function verify(core, cardId, options) {
+  const cardSecret = await readSecret();
+  try {
+    await core.verifySecret(cardId, cardSecret);
+  } catch (error) {
+    if (error.code !== 'INVALID_SECRET') throw error;
+    print(options, { cardId, valid: false }, ['❌ Invalid card secret']);
+    return false;
+  }
+  print(options, { cardId, valid: true }, ['✅ Card secret is valid']);
+  return true;
+}
+
+// Redeem (or with --dry-run, preview) one card; failures become results instead of throwing
+async function redeemOne(core, { cardId, cardSecret }, recipientAddress, options) {
+  try {
+    cardSecret = normalizeSecret(cardSecret);
+    if (options['dry-run']) {
+      const preview = await core.previewRedemption({ cardId, cardSecret, recipientAddress, client: CLIENT });
+      const gas = preview.gas ? `, gas ~${preview.gas.formattedEstimatedCost} (at most ${preview.gas.formattedMaxCost})` : '';
+      const outcome = preview.wouldSucceed ? '✅ would succeed' : `❌ would fail: ${preview.error.message}`;
+      const warnings = preview.warnings.map(warning => `\n${cardId}: ⚠️  ${warning.message}`).join('');
+      return { ok: preview.wouldSucceed, json: preview, line: `${cardId}: ${outcome} (${preview.fees.formattedNetAmount} to ${recipientAddress}${gas})${warnings}` };
+    }
+
+    // Like the API, contract recipients need an explicit acknowledgement
+    const warnings = await core.checkRecipient(recipientAddress, { cardId });
+    if (warnings.length && !options.yes) {
+      const message = `${warnings.map(warning => warning.message).join(' ')} Pass --yes to redeem anyway.`;
+      return { ok: false, json: { cardId, error: message, errorCode: 'WARNINGS_NOT_ACKNOWLEDGED', warnings }, line: `${cardId}: ⚠️  ${message}` };
+    }
+
+    const onStage = options.json ? undefined : entry => {
+      if (entry.stage === 'unconfirmed') {
+        console.error(`${cardId}: ${entry.txHash} is taking longer than usual, still waiting`);
+        return;
+      }
+      if (entry.stage !== 'submitted') return;
+      const note = entry.replacedTxHash ? ` (sped up ${entry.replacedTxHash})` : entry.reorged ? ' (reorged, waiting again)' : '';
+      console.error(`${cardId}: submitted ${entry.txHash}${note}`);
+    };
+    const job = await core.redeemCard({ cardId, cardSecret, recipientAddress, client: CLIENT, onStage });
+    if (job.status === 'failed') {
+      return { ok: false, json: job, line: `${cardId}: ❌ ${job.error}` };
+    }
+    const explorer = job.result.explorerUrl ? ` ${job.result.explorerUrl}` : '';
+    return { ok: true, json: job, line: `${cardId}: ✅ ${job.result.fees.formattedNetAmount} redeemed to ${recipientAddress} (${job.result.txHash})${explorer}` };
+  } catch (error) {
+    const { code, message } = classifyError(error);
+    return { ok: false, json: { cardId, error: message, errorCode: code }, line: `${cardId}: ❌ ${message}` };
+  }
+}
+
+async function redeem(core, cardId, options) {
+  if (!options.to) throw new Error('--to <recipient> is required');
+  if (!cardId === !options.file) throw new Error('Give either a card ID or --file');
+
+  const { address } = await core.nameResolver.resolveRecipient(options.to);
+  await core.checkRecipient(address);
+  const cards = options.file
+    ? parseCardsCsv(fs.readFileSync(options.file, 'utf8'))
+    : [{ cardId, cardSecret: await readSecret() }];
+  if (!cards.length) throw new Error(`No cards in ${options.file}`);
+
+  const results = [];
+  for (const card of cards) {
+    results.push(await redeemOne(core, card, address, options));
+  }
+
+  const json = results.map(result => result.json);
+  print(options, options.file ? json : json[0], results.map(result => result.line));
+  return results.every(result => result.ok);
+}
+
+const COMMANDS = { inspect, verify, redeem };
+
+async function main(argv) {
+  const { positional: [command, cardId], options } = parseArgs(argv);
+  if (!COMMANDS[command]) {
+    console.log(USAGE);
+    if (command && command !== 'help') process.exitCode = 1;
+    return;
+  }
+  if (!cardId && !(command === 'redeem' && options.file)) throw new Error('Card ID required');
+
+  const core = loadCore(options);
+  try {
+    const ok = await COMMANDS[command](core, cardId, options);
+    if (!ok) process.exitCode = 1;
+  } finally {
+    // Webhook retries would not keep the process alive; dead-letter them instead of losing them
+    await core.flushWebhooks();
+  }
+}
+
+main(process.argv.slice(2)).catch(error => {
+  // Configuration problems come one per line; coded and ethers errors get their user-facing message
+  const lines = error.code ? [classifyError(error, error.message).message] : error.message.split('\n');
+  lines.forEach(line => console.error(`❌ ${line}`));
+  process.exitCode = 1;
+});
@@ -0,0 +1,17 @@
+// Embedding API: mount the redemption router in an existing Express app, build the
+// standalone app, or use the redemption core without HTTP (see README "Embedding")
+const { createRedeemCore } = require('./lib/redeem-core');
+const { createRedeemRouter } = require('./lib/redeem-router');
+const { createApp } = require('./lib/app');
+const { configFromEnv } = require('./lib/config');
+const { createLogger } = require('./lib/logger');
+const { createMetrics } = require('./lib/metrics');
+
+module.exports = {
+  createRedeemCore,
+  createRedeemRouter,
+  createApp,
+  configFromEnv,
+  createLogger,
+  createMetrics
+};
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+const hash = value => crypto.createHash('sha256').update(value).digest();
+
+// Whether the request's Authorization header carries the bearer token with this SHA-256 hash
+function hasBearerToken(req, expected) {
+  const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+  return Boolean(match) && crypto.timingSafeEqual(hash(match[1]), expected);
+}
+
+// Express middleware guarding admin endpoints with a bearer token.
+// Without a configured token the admin API is disabled.
+function requireAdminToken(token) {
+  const expected = token ? hash(token) : null;
+
+  return (req, res, next) => {
+    if (!expected) {
+      return res.status(503).json({ error: 'Admin API is disabled (set ADMIN_TOKEN to enable it)' });
+    }
+    if (!hasBearerToken(req, expected)) {
+      return res.status(401).json({ error: 'Admin authentication required' });
+    }
+    next();
+  };
+}
+
+// Express middleware for /metrics: open without a configured token, otherwise the token is
+// required as a bearer token (Prometheus' authorization setting)
+function requireMetricsToken(token) {
+  const expected = token ? hash(token) : null;
+
+  return (req, res, next) => {
+    if (expected && !hasBearerToken(req, expected)) {
+      return res.status(401).json({ error: 'Metrics token required', code: 'UNAUTHORIZED' });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  requireAdminToken,
+  requireMetricsToken
+};
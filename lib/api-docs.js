@@ -0,0 +1,116 @@
+// HTML documentation page rendered from the OpenAPI document
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Example value for a schema, built from the "example" of each field
+function exampleFor(schema, resolve, depth = 0) {
+  if (schema.$ref) return exampleFor({ ...resolve(schema.$ref), ...schema, $ref: undefined }, resolve, depth);
+  if (schema.example !== undefined) return schema.example;
+  if (depth > 6) return {};
+  if (schema.enum) return schema.enum[0];
+
+  switch (schema.type) {
+    case 'object':
+      if (schema.properties) {
+        return Object.fromEntries(
+          Object.entries(schema.properties).map(([name, property]) => [name, exampleFor(property, resolve, depth + 1)])
+        );
+      }
+      return {};
+    case 'array':
+      return schema.items ? [exampleFor(schema.items, resolve, depth + 1)] : [];
+    case 'integer':
+    case 'number':
+      return 0;
+    case 'boolean':
+      return true;
+    case 'string':
+      return schema.format === 'uuid' ? '4f9c0b3e-...' : 'string';
+    default:
+      return null;
+  }
+}
+
+function renderParameters(parameters) {
+  return `
+          <h3>Parameters:</h3>
+          <pre><code>${parameters.map(p => escapeHtml(`${p.name} (${p.in}${p.required ? ', required' : ''})${p.description ? ` - ${p.description}` : ''}`)).join('\n')}</code></pre>`;
+}
+
+function renderOperation(path, method, op, resolve) {
+  const json = schema => escapeHtml(JSON.stringify(exampleFor(schema, resolve), null, 2));
+  const security = (op.security || []).map(entry => Object.keys(entry)[0]);
+  const auth = security.includes('adminToken')
+    ? '<code>Authorization: Bearer &lt;ADMIN_TOKEN&gt;</code>'
+    : security.length ? '<code>X-API-Key</code> header (or a web app session)' : null;
+
+  let html = `
+        <div class="endpoint" id="${escapeHtml(op.operationId)}">
+          <h2><span class="method">${method.toUpperCase()}</span> <span class="url">${escapeHtml(path)}</span></h2>
+          <div class="description">${escapeHtml(op.summary)}${op.description ? `. ${escapeHtml(op.description)}` : ''}</div>
+          ${auth ? `<div class="description">Auth: ${auth}</div>` : ''}`;
+
+  if (op.parameters) html += renderParameters(op.parameters);
+
+  if (op.requestBody) {
+    const schema = op.requestBody.content['application/json'].schema;
+    html += `
+          <h3>Request Body:</h3>
+          <pre><code>${json(schema)}</code></pre>`;
+  }
+
+  for (const [status, response] of Object.entries(op.responses)) {
+    const schema = response.content && response.content['application/json'].schema;
+    html += `
+          <h3>${escapeHtml(status)}: ${escapeHtml(response.description)}</h3>`;
+    if (schema && status < 300) {
+      html += `
+          <pre><code>${json(schema)}</code></pre>`;
+    }
+  }
+
+  return `${html}
+        </div>`;
+}
+
+// The full documentation page: every operation grouped by tag, with example bodies
+function renderApiDocs(document) {
+  const resolve = pointer => document.components.schemas[pointer.replace('#/components/schemas/', '')];
+  const operations = Object.entries(document.paths).flatMap(([path, methods]) =>
+    Object.entries(methods).map(([method, op]) => ({ path, method, op }))
+  );
+
+  const sections = document.tags.map(tag => {
+    const tagged = operations.filter(({ op }) => op.tags.includes(tag.name));
+    return `
+        <h2>${escapeHtml(tag.name)}</h2>
+        ${tag.description ? `<div class="description">${escapeHtml(tag.description)}</div>` : ''}
+        ${tagged.map(({ path, method, op }) => `<div><span class="method">${method.toUpperCase()}</span> <a href="#${escapeHtml(op.operationId)}" class="url">${escapeHtml(path)}</a> - ${escapeHtml(op.summary)}</div>`).join('\n        ')}
+        ${tagged.map(({ path, method, op }) => renderOperation(path, method, op, resolve)).join('')}`;
+  });
+
+  return `<!DOCTYPE html>
+<html>
+  <head><title>${escapeHtml(document.info.title)}</title><link rel="stylesheet" href="/style.css"></head>
+  <body>
+    <div class="api-doc">
+      <h1>${escapeHtml(document.info.title)} Documentation</h1>
+      <div class="description">${escapeHtml(document.info.description)}</div>
+      <div class="description">POST endpoints require an API key in the <code>X-API-Key</code> header. Ask the operator of this deployment for one. Invalid requests are answered with <code>400</code> and <code>{ "error": "...", "details": [{ "field", "message" }] }</code>.</div>
+      <div class="description">Machine-readable spec: <a href="/api/openapi.json" class="url">/api/openapi.json</a> (OpenAPI ${escapeHtml(document.openapi)})</div>
+      ${sections.join('\n')}
+      <p><a href="/" style="color: #50fa7b;">← Back to App</a></p>
+    </div>
+  </body>
+</html>`;
+}
+
+module.exports = {
+  renderApiDocs
+};
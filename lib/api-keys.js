@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+// Issued keys look like rb_<43 url-safe characters>; only their SHA-256 hash is stored
+const KEY_PREFIX = 'rb_';
+const DEFAULT_RATE_LIMIT_PER_MINUTE = 60;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function parseList(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(s => String(s).trim()).filter(Boolean);
+}
+
+// Parse "chainId:amount,..." (or an object) into { chainId: amount } in native units
+function parseGasBudget(value) {
+  if (!value) return null;
+  const entries = typeof value === 'object'
+    ? Object.entries(value)
+    : String(value).split(',').map(entry => entry.split(':').map(s => s.trim()));
+
+  const budget = {};
+  for (const [chainId, amount] of entries) {
+    if (!/^\d+$/.test(String(chainId))) throw new Error(`Invalid chain ID "${chainId}" in gas budget`);
+    try {
+      ethers.utils.parseEther(String(amount));
+    } catch (error) {
+      throw new Error(`Invalid gas budget "${amount}" for chain ${chainId}`);
+    }
+    budget[chainId] = String(amount);
+  }
+  return budget;
+}
+
+// Validate and normalize the settings of a key
+function normalizeKeySettings({ name, rateLimitPerMinute, dailyGasBudget, allowedChains, allowedOrigins, partnerAddress }) {
+  if (!name) throw new Error('A key needs a name');
+
+  const rateLimit = rateLimitPerMinute === undefined ? DEFAULT_RATE_LIMIT_PER_MINUTE : Number(rateLimitPerMinute);
+  if (!Number.isInteger(rateLimit) || rateLimit < 1) throw new Error('Rate limit must be a positive whole number of requests per minute');
+
+  const chains = parseList(allowedChains);
+  if (chains && chains.some(id => !/^\d+$/.test(id))) throw new Error('Allowed chains must be chain IDs');
+
+  const origins = parseList(allowedOrigins);
+  for (const origin of origins || []) {
+    let url;
+    try {
+      url = new URL(origin);
+    } catch (error) {
+      throw new Error(`Invalid origin "${origin}"`);
+    }
+    if (url.origin !== origin) throw new Error(`Invalid origin "${origin}" (expected e.g. https://example.com)`);
+  }
+
+  if (partnerAddress && !ethers.utils.isAddress(partnerAddress)) throw new Error('Invalid partner address');
+
+  return {
+    name: String(name),
+    rateLimitPerMinute: rateLimit,
+    dailyGasBudget: parseGasBudget(dailyGasBudget),
+    allowedChains: chains ? chains.map(Number) : null,
+    allowedOrigins: origins,
+    partnerAddress: partnerAddress ? ethers.utils.getAddress(partnerAddress) : null
+  };
+}
+
+// API keys kept in a JSON file. The file is re-read when it changes, so keys issued or
+// revoked with the admin command apply to a running server.
+function createApiKeyStore({ file }) {
+  let keys = [];
+  let loadedMtime = null;
+
+  function load() {
+    let mtime;
+    try {
+      mtime = fs.statSync(file).mtimeMs;
+    } catch (error) {
+      keys = [];
+      loadedMtime = null;
+      return;
+    }
+    if (mtime === loadedMtime) return;
+    keys = JSON.parse(fs.readFileSync(file, 'utf8')).keys || [];
+    loadedMtime = mtime;
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temp = `${file}.tmp`;
+    fs.writeFileSync(temp, `${JSON.stringify({ keys }, null, 2)}\n`, { mode: 0o600 });
+    fs.renameSync(temp, file);
+    loadedMtime = fs.statSync(file).mtimeMs;
+  }
+
+  // Public view of a key record (never includes the hash)
+  function toJSON(record) {
+    const { keyHash, ...rest } = record;
+    return rest;
+  }
+
+  // Create a key; the plaintext key is only returned here
+  function issue(settings) {
+    load();
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const record = {
+      id: `key_${crypto.randomBytes(6).toString('hex')}`,
+      ...normalizeKeySettings(settings),
+      keyHash: hashKey(key),
+      createdAt: new Date().toISOString(),
+      revokedAt: null
+    };
+    keys.push(record);
+    save();
+    return { key, record: toJSON(record) };
+  }
+
+  function revoke(id) {
+    load();
+    const record = keys.find(k => k.id === id);
+    if (!record) return null;
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      save();
+    }
+    return toJSON(record);
+  }
+
+  function list() {
+    load();
+    return keys.map(toJSON);
+  }
+
+  // Active key record for a plaintext key, or null
+  function findByKey(key) {
+    if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+    load();
+    const hash = Buffer.from(hashKey(key), 'hex');
+    const record = keys.find(k => crypto.timingSafeEqual(Buffer.from(k.keyHash, 'hex'), hash));
+    return record && !record.revokedAt ? record : null;
+  }
+
+  // Key record by ID (including revoked keys), or null
+  function get(id) {
+    load();
+    return keys.find(k => k.id === id) || null;
+  }
+
+  // Whether any active key allows browser requests from origin
+  function isAllowedOrigin(origin) {
+    load();
+    return keys.some(k => !k.revokedAt && (k.allowedOrigins || []).includes(origin));
+  }
+
+  return { issue, revoke, list, findByKey, get, isAllowedOrigin };
+}
+
+// Short-lived signed tokens for the bundled web app, which cannot hold a secret key.
+// Tokens are HMACs over their expiry, so they need no server-side storage.
+function createWebSessions({ secret = crypto.randomBytes(32), ttlMs = 12 * 60 * 60 * 1000 } = {}) {
+  function sign(payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  }
+
+  function issue() {
+    const expiresAt = Date.now() + ttlMs;
+    const payload = `${expiresAt}.${crypto.randomBytes(8).toString('hex')}`;
+    return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  function verify(token) {
+    const match = /^(\d+)\.([0-9a-f]{16})\.([\w-]+)$/.exec(token || '');
+    if (!match || Number(match[1]) < Date.now()) return false;
+    const expected = Buffer.from(sign(`${match[1]}.${match[2]}`));
+    const provided = Buffer.from(match[3]);
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  }
+
+  return { issue, verify };
+}
+
+// Whether a request comes from a page of this site: browsers send Origin on POST requests and
+// Sec-Fetch-Site on all of them. Requests with neither (scripts, curl) are not from this site.
+function isSameOrigin(req) {
+  const origin = req.get('Origin');
+  if (!origin) return req.get('Sec-Fetch-Site') === 'same-origin';
+  try {
+    return new URL(origin).host === req.get('host');
+  } catch (error) {
+    return false;
+  }
+}
+
+// Express middleware identifying the caller by an X-API-Key header, or by an
+// X-Redeem-Session token for the bundled web app, and applying its rate limit.
+// Sets req.apiClient to { id, name, key } where key is the key record (null for the web app).
+function requireApiClient({ apiKeys, sessions, rateLimiter, webRateLimitPerMinute }) {
+  return (req, res, next) => {
+    const origin = req.get('Origin');
+    const apiKey = req.get('X-API-Key');
+    const sessionToken = req.get('X-Redeem-Session');
+
+    let limitKey;
+    let limit;
+    if (apiKey) {
+      const record = apiKeys.findByKey(apiKey);
+      if (!record) {
+        return res.status(401).json({ error: 'Invalid or revoked API key', code: 'UNAUTHORIZED' });
+      }
+      // Keys without allowed origins are for server-side use only (no Origin) and this site
+      if (origin && !isSameOrigin(req) && !(record.allowedOrigins || []).includes(origin)) {
+        return res.status(403).json({ error: 'This API key may not be used from this origin', code: 'FORBIDDEN' });
+      }
+      req.apiClient = { id: record.id, name: record.name, key: record };
+      limitKey = record.id;
+      limit = record.rateLimitPerMinute;
+    } else if (sessionToken) {
+      if (!isSameOrigin(req)) {
+        return res.status(403).json({ error: 'Web sessions can only be used by this site', code: 'FORBIDDEN' });
+      }
+      if (!sessions.verify(sessionToken)) {
+        return res.status(401).json({ error: 'Your session has expired, please reload the page', code: 'UNAUTHORIZED' });
+      }
+      req.apiClient = { id: 'web', name: 'web', key: null };
+      // Sessions are free to obtain, so the web app is limited per IP
+      limitKey = `web:${req.ip}`;
+      limit = webRateLimitPerMinute;
+    } else {
+      return res.status(401).json({ error: 'API key required (send it in the X-API-Key header)', code: 'UNAUTHORIZED' });
+    }
+
+    const retryAfter = rateLimiter.take(limitKey, limit);
+    if (retryAfter) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Rate limit exceeded, please slow down', code: 'RATE_LIMITED', retryAfter });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  KEY_PREFIX,
+  DEFAULT_RATE_LIMIT_PER_MINUTE,
+  parseGasBudget,
+  createApiKeyStore,
+  createWebSessions,
+  isSameOrigin,
+  requireApiClient
+};
@@ -0,0 +1,925 @@
+// Request and response schemas of the public API, defined once and used both to build the
+// OpenAPI document (GET /api/openapi.json) and to validate request bodies at runtime.
+// Schemas are OpenAPI 3.0 schema objects; validate() supports the keywords used here.
+
+const { ERROR_CODES } = require('./error-codes');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+// Field schemas shared by several requests. "x-message" is the error shown when a pattern does not match.
+const FIELDS = {
+  CardId: {
+    type: 'string',
+    pattern: '^[0-9]{1,78}$',
+    'x-message': 'must be a card ID (digits only)',
+    description: 'UniVoucher card ID',
+    example: '1234567'
+  },
+  CardSecret: {
+    type: 'string',
+    pattern: '^[A-Za-z]{5}-?[A-Za-z]{5}-?[A-Za-z]{5}-?[A-Za-z]{5}$',
+    'x-message': 'must be a card secret of 20 letters (ABCDE-FGHIJ-KLMNO-PQRST)',
+    description: 'Card secret, in any case, with or without dashes',
+    example: 'ABCDE-FGHIJ-KLMNO-PQRST'
+  },
+  Recipient: {
+    type: 'string',
+    minLength: 1,
+    maxLength: 255,
+    description: 'A 0x address, an ENS name or a Basename',
+    example: '0x1111111111111111111111111111111111111111'
+  },
+  Address: {
+    type: 'string',
+    pattern: '^0x[0-9a-fA-F]{40}$',
+    'x-message': 'must be a 0x address',
+    example: '0x1111111111111111111111111111111111111111'
+  },
+  Signature: {
+    type: 'string',
+    pattern: '^0x[0-9a-fA-F]{130}$',
+    'x-message': 'must be a 65-byte 0x signature',
+    description: 'Signature of the redemption message by the card slot key',
+    example: `0x${'ab'.repeat(65)}`
+  },
+  Amount: {
+    type: 'string',
+    description: 'Amount in the smallest unit of the token (wei for native tokens)',
+    example: '1000000000000000000'
+  },
+  AcknowledgeWarnings: {
+    type: 'boolean',
+    description: 'Redeem despite the recipient warnings (as from /api/resolve-recipient with the cardId, or the 409 response of a batch), after showing them to the user; without it a recipient with warnings is refused (409 WARNINGS_NOT_ACKNOWLEDGED)',
+    example: false
+  },
+  Timestamp: { type: 'string', format: 'date-time', example: '2025-01-01T00:00:00.000Z' }
+};
+
+function schemas({ batchMaxCards }) {
+  return {
+    ...FIELDS,
+
+    Error: {
+      type: 'object',
+      required: ['error'],
+      properties: {
+        error: { type: 'string', example: 'Card not found' },
+        code: ref('ErrorCode'),
+        details: {
+          type: 'array',
+          description: 'Every problem found in an invalid request',
+          items: ref('ValidationProblem')
+        },
+        retryAfter: { type: 'integer', description: 'Seconds to wait before retrying (429 and 503)' },
+        warnings: { type: 'array', description: 'Recipient warnings to acknowledge (WARNINGS_NOT_ACKNOWLEDGED)', items: ref('RecipientWarning') }
+      }
+    },
+    ErrorCode: {
+      type: 'string',
+      description: 'Stable machine-readable error code; the HTTP status of each is listed in the README',
+      enum: Object.keys(ERROR_CODES),
+      example: 'CARD_NOT_FOUND'
+    },
+    ValidationProblem: {
+      type: 'object',
+      properties: {
+        field: { type: 'string', example: 'cardId' },
+        message: { type: 'string', example: 'cardId must be a card ID (digits only)' }
+      }
+    },
+
+    CardInfoRequest: {
+      type: 'object',
+      required: ['cardId'],
+      properties: { cardId: ref('CardId') }
+    },
+    VerifySecretRequest: {
+      type: 'object',
+      required: ['cardId', 'cardSecret'],
+      properties: { cardId: ref('CardId'), cardSecret: ref('CardSecret') }
+    },
+    RedeemRequest: {
+      type: 'object',
+      required: ['cardId', 'cardSecret', 'recipientAddress'],
+      properties: {
+        cardId: ref('CardId'),
+        cardSecret: ref('CardSecret'),
+        recipientAddress: ref('Recipient'),
+        acknowledgeWarnings: ref('AcknowledgeWarnings')
+      }
+    },
+    RelayRequest: {
+      type: 'object',
+      required: ['cardId', 'recipient', 'signature'],
+      properties: {
+        cardId: ref('CardId'),
+        recipient: ref('Recipient'),
+        signature: ref('Signature'),
+        acknowledgeWarnings: ref('AcknowledgeWarnings')
+      }
+    },
+    PreviewRequest: {
+      type: 'object',
+      required: ['cardId'],
+      description: 'Send cardSecret, or a relay signature with the recipientAddress it covers (non-custodial)',
+      properties: {
+        cardId: ref('CardId'),
+        cardSecret: ref('CardSecret'),
+        recipientAddress: { ...FIELDS.Recipient, description: 'Optional with cardSecret; without it the simulation pays the service wallet' },
+        signature: ref('Signature')
+      },
+      anyOf: [{ required: ['cardSecret'] }, { required: ['signature', 'recipientAddress'] }],
+      'x-message': 'needs cardSecret, or signature and recipientAddress'
+    },
+    ResolveRecipientRequest: {
+      type: 'object',
+      required: ['recipient'],
+      properties: {
+        recipient: ref('Recipient'),
+        cardId: { ...ref('CardId'), description: 'Card to be redeemed, to get warnings about sending it to this recipient' }
+      }
+    },
+    BatchCard: {
+      type: 'object',
+      required: ['cardId', 'cardSecret'],
+      properties: { cardId: ref('CardId'), cardSecret: ref('CardSecret') }
+    },
+    BatchCards: {
+      type: 'array',
+      minItems: 1,
+      maxItems: batchMaxCards,
+      items: ref('BatchCard')
+    },
+    BatchRequest: {
+      type: 'object',
+      required: ['recipientAddress'],
+      description: 'Send either cards or csv',
+      properties: {
+        recipientAddress: ref('Recipient'),
+        cards: ref('BatchCards'),
+        csv: {
+          type: 'string',
+          minLength: 1,
+          maxLength: batchMaxCards * 200,
+          description: 'One "cardId,cardSecret" per line (comma, semicolon or tab separated, optional header row)',
+          example: 'cardId,cardSecret\n1234567,ABCDE-FGHIJ-KLMNO-PQRST'
+        },
+        acknowledgeWarnings: ref('AcknowledgeWarnings')
+      },
+      anyOf: [{ required: ['cards'] }, { required: ['csv'] }],
+      'x-message': 'needs cards or csv'
+    },
+    RedeliverRequest: {
+      type: 'object',
+      required: ['eventId'],
+      properties: {
+        eventId: { type: 'string', maxLength: 100, example: 'evt_5b1f0c7e-...' },
+        url: { type: 'string', maxLength: 2048, description: 'Only redeliver to this subscription' }
+      }
+    },
+
+    Fees: {
+      type: 'object',
+      description: 'Partner fee taken from the card amount; partnerFeePercent is 0 when none applies',
+      properties: {
+        partnerAddress: { ...FIELDS.Address, nullable: true },
+        partnerFeePercent: { type: 'number', example: 1 },
+        grossAmount: ref('Amount'),
+        partnerFee: { ...FIELDS.Amount, example: '10000000000000000' },
+        netAmount: { ...FIELDS.Amount, example: '990000000000000000' },
+        formattedGrossAmount: { type: 'string', example: '1 ETH' },
+        formattedPartnerFee: { type: 'string', example: '0.01 ETH' },
+        formattedNetAmount: { type: 'string', example: '0.99 ETH' }
+      }
+    },
+    CardInfo: {
+      type: 'object',
+      properties: {
+        cardId: ref('CardId'),
+        slotId: { ...FIELDS.Address, description: 'Address of the card slot key; relay signatures must come from it' },
+        chainId: { type: 'integer', example: 8453 },
+        chainName: { type: 'string', example: 'Base' },
+        active: { type: 'boolean', description: 'False once the card is redeemed or cancelled' },
+        status: { type: 'string', example: 'active' },
+        tokenAddress: { ...FIELDS.Address, description: 'Token contract, or the zero address for the native token', example: '0x0000000000000000000000000000000000000000' },
+        tokenAmount: ref('Amount'),
+        formattedAmount: { type: 'string', example: '1.0 ETH' },
+        creator: ref('Address'),
+        message: { type: 'string', example: 'Happy Birthday!' },
+        encryptedPrivateKey: { type: 'string', description: 'Card slot key encrypted with the card secret, for decryption in the browser' },
+        createdAt: ref('Timestamp'),
+        fees: ref('Fees'),
+        redemptionAvailable: { type: 'boolean', description: 'False when this server cannot redeem the card right now' },
+        unavailableReason: { type: 'string', nullable: true, example: null }
+      }
+    },
+    VerifySecretResult: {
+      type: 'object',
+      properties: { valid: { type: 'boolean', example: true } }
+    },
+    RecipientResolution: {
+      type: 'object',
+      properties: {
+        address: ref('Address'),
+        name: { type: 'string', nullable: true, description: 'The name that was entered', example: 'alice.base.eth' },
+        reverseName: { type: 'string', nullable: true, description: 'Primary name of the address (Basename first, then ENS)', example: 'alice.base.eth' },
+        warnings: {
+          type: 'array',
+          description: 'Risks of redeeming the card to this recipient, for the user to acknowledge; always empty without a cardId',
+          items: ref('RecipientWarning')
+        }
+      }
+    },
+    RecipientWarning: {
+      type: 'object',
+      properties: {
+        code: {
+          type: 'string',
+          enum: ['CONTRACT_RECIPIENT', 'NATIVE_TO_CONTRACT'],
+          description: 'CONTRACT_RECIPIENT: the recipient is a contract; NATIVE_TO_CONTRACT: it is a contract and the card pays out the native coin, which many contracts reject',
+          example: 'CONTRACT_RECIPIENT'
+        },
+        message: { type: 'string', example: 'The recipient is a contract on Base, not a personal wallet.' }
+      }
+    },
+    GasEstimate: {
+      type: 'object',
+      description: 'Gas the service wallet pays for the redemption, in native units of the chain',
+      properties: {
+        estimate: { type: 'string', description: 'Gas units from estimateGas', example: '85000' },
+        limit: { type: 'string', description: 'Gas limit sent, with the GAS_LIMIT_BUFFER_PERCENT buffer', example: '102000' },
+        estimatedCost: { ...FIELDS.Amount, description: 'estimate × current gas price (wei)', example: '850000000000' },
+        maxCost: { ...FIELDS.Amount, description: 'limit × max fee per gas (wei), the most the service could pay', example: '2040000000000' },
+        formattedEstimatedCost: { type: 'string', example: '0.00000085 ETH' },
+        formattedMaxCost: { type: 'string', example: '0.00000204 ETH' }
+      }
+    },
+    RedemptionPreview: {
+      type: 'object',
+      properties: {
+        cardId: ref('CardId'),
+        chainId: { type: 'integer', example: 8453 },
+        chainName: { type: 'string', example: 'Base' },
+        recipientAddress: { ...FIELDS.Address, nullable: true, description: 'Resolved recipient, or null when none was sent' },
+        serviceAddress: { ...FIELDS.Address, description: 'Service wallet that sends the redemption and pays its gas' },
+        formattedAmount: { type: 'string', example: '1 ETH' },
+        fees: ref('Fees'),
+        gas: { ...ref('GasEstimate'), nullable: true, description: 'Null when the simulation failed' },
+        warnings: { type: 'array', description: 'Risks of redeeming to the recipient, as from /api/resolve-recipient', items: ref('RecipientWarning') },
+        wouldSucceed: { type: 'boolean', description: 'Whether the simulated redemption succeeded within the gas limits' },
+        error: {
+          type: 'object',
+          nullable: true,
+          description: 'Why the redemption would fail; reason is the decoded revert reason when the contract reverted',
+          properties: {
+            code: ref('ErrorCode'),
+            message: { type: 'string', example: 'Card has already been redeemed or cancelled' },
+            reason: { type: 'string', nullable: true, example: 'CardAlreadyRedeemed' }
+          },
+          example: null
+        }
+      }
+    },
+    RedemptionAccepted: {
+      type: 'object',
+      properties: {
+        jobId: { type: 'string', format: 'uuid' },
+        status: { type: 'string', example: 'queued' },
+        statusUrl: { type: 'string', example: '/api/redemptions/4f9c0b3e-...' },
+        eventsUrl: { type: 'string', example: '/api/redemptions/4f9c0b3e-.../events' },
+        job: { ...ref('RedemptionJob'), description: 'Only on Idempotency-Key replays: the job as it is now, or as it finished once statusUrl has expired' }
+      }
+    },
+    RedemptionResult: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', example: true },
+        chainId: { type: 'integer', example: 8453 },
+        txHash: { type: 'string', example: '0x...' },
+        recipientAddress: ref('Address'),
+        partnerAddress: { ...FIELDS.Address, nullable: true },
+        amount: { type: 'string', example: '1.0 ETH' },
+        fees: ref('Fees'),
+        explorerUrl: { type: 'string', nullable: true, example: 'https://basescan.org/tx/0x...' }
+      }
+    },
+    RedemptionStage: {
+      type: 'object',
+      description: 'A stage reached, with the data recorded at that stage (txHash, blockNumber, error, ...). submitted is reported again with replacedTxHash when a stuck transaction is sped up, and with reorged: true when a reorg takes it out of its block. unconfirmed means the transaction is still pending after TX_TIMEOUT_MINUTES; it may still be mined, and the job stays in flight until mined or dropped.',
+      properties: {
+        stage: { type: 'string', enum: ['queued', 'validated', 'signed', 'submitted', 'mined', 'unconfirmed', 'confirmed', 'failed'] },
+        at: ref('Timestamp')
+      }
+    },
+    RedemptionJob: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        status: { type: 'string', enum: ['queued', 'validated', 'signed', 'submitted', 'mined', 'unconfirmed', 'confirmed', 'failed'] },
+        cardId: ref('CardId'),
+        chainId: { type: 'integer', nullable: true, example: 8453 },
+        recipientAddress: ref('Address'),
+        txHash: { type: 'string', nullable: true, example: '0x...' },
+        confirmations: { type: 'integer', example: 1 },
+        result: { ...ref('RedemptionResult'), description: 'Set once confirmed' },
+        error: { type: 'string', nullable: true, description: 'Set when failed', example: null },
+        errorCode: { ...ref('ErrorCode'), nullable: true, example: null },
+        requestId: { type: 'string', nullable: true, description: 'X-Request-Id of the request that started the redemption' },
+        stages: { type: 'array', items: ref('RedemptionStage') },
+        createdAt: ref('Timestamp'),
+        updatedAt: ref('Timestamp')
+      }
+    },
+    TransactionStatus: {
+      type: 'object',
+      properties: {
+        chainId: { type: 'integer', example: 8453 },
+        chainName: { type: 'string', example: 'Base' },
+        hash: { type: 'string', example: '0x...' },
+        status: { type: 'string', enum: ['pending', 'mined', 'confirmed', 'replaced', 'dropped', 'failed'] },
+        replacedBy: { type: 'string', nullable: true, description: 'Hash of the transaction that replaced this one', example: null },
+        nonce: { type: 'integer', example: 42 },
+        from: ref('Address'),
+        to: ref('Address'),
+        hashes: { type: 'array', items: { type: 'string' }, description: 'Every hash the transaction was sent with, oldest first' },
+        blockNumber: { type: 'integer', nullable: true, example: 12345678 },
+        blockHash: { type: 'string', nullable: true, example: '0x...' },
+        confirmations: { type: 'integer', example: 1 },
+        requiredConfirmations: { type: 'integer', example: 1 },
+        reorgs: { type: 'integer', nullable: true, description: 'Times a reorg moved the transaction (null when no longer tracked)', example: 0 },
+        error: { type: 'string', nullable: true, example: null },
+        submittedAt: { ...FIELDS.Timestamp, nullable: true },
+        updatedAt: { ...FIELDS.Timestamp, nullable: true },
+        cardId: ref('CardId'),
+        recipientAddress: ref('Address'),
+        explorerUrl: { type: 'string', nullable: true, example: 'https://basescan.org/tx/0x...' }
+      }
+    },
+    BatchAccepted: {
+      type: 'object',
+      properties: {
+        batchId: { type: 'string', format: 'uuid' },
+        total: { type: 'integer', example: 2 },
+        statusUrl: { type: 'string', example: '/api/redeem/batch/9a1d2c7e-...' }
+      }
+    },
+    BatchCounts: {
+      type: 'object',
+      properties: {
+        total: { type: 'integer', example: 2 },
+        confirmed: { type: 'integer', example: 1 },
+        failed: { type: 'integer', example: 1 },
+        pending: { type: 'integer', example: 0 }
+      }
+    },
+    BatchReport: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        recipientAddress: ref('Address'),
+        createdAt: ref('Timestamp'),
+        done: { type: 'boolean' },
+        summary: {
+          type: 'object',
+          properties: {
+            total: { type: 'integer', example: 2 },
+            confirmed: { type: 'integer', example: 1 },
+            failed: { type: 'integer', example: 1 },
+            pending: { type: 'integer', example: 0 },
+            byChain: { type: 'object', description: 'Counts per chain ID', additionalProperties: ref('BatchCounts') }
+          }
+        },
+        results: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              cardId: ref('CardId'),
+              jobId: { type: 'string', nullable: true },
+              chainId: { type: 'integer', nullable: true, example: 8453 },
+              chainName: { type: 'string', nullable: true, example: 'Base' },
+              status: { type: 'string', example: 'confirmed' },
+              amount: { type: 'string', nullable: true, example: '0.01 ETH' },
+              txHash: { type: 'string', nullable: true, example: '0x...' },
+              explorerUrl: { type: 'string', nullable: true, example: 'https://basescan.org/tx/0x...' },
+              error: { type: 'string', nullable: true, example: null },
+              errorCode: { ...ref('ErrorCode'), nullable: true, example: null }
+            }
+          }
+        }
+      }
+    },
+    Session: {
+      type: 'object',
+      properties: { token: { type: 'string' }, expiresAt: ref('Timestamp') }
+    },
+    Config: {
+      type: 'object',
+      properties: { nonCustodial: { type: 'string', enum: ['off', 'optional', 'required'] } }
+    },
+    Health: {
+      type: 'object',
+      properties: { status: { type: 'string', example: 'ok' }, service: { type: 'string', example: 'Redeem Base API' } }
+    },
+    TreasuryStatus: {
+      type: 'object',
+      properties: {
+        address: ref('Address'),
+        chains: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              chainId: { type: 'integer', example: 8453 },
+              chainName: { type: 'string', example: 'Base' },
+              symbol: { type: 'string', example: 'ETH' },
+              balance: ref('Amount'),
+              formattedBalance: { type: 'string', example: '0.004' },
+              lowBalance: { type: 'string', example: '0.005' },
+              minBalance: { type: 'string', example: '0.001' },
+              low: { type: 'boolean' },
+              available: { type: 'boolean' },
+              checkedAt: ref('Timestamp'),
+              error: { type: 'string', nullable: true, example: null }
+            }
+          }
+        }
+      }
+    },
+    LedgerRecords: {
+      type: 'object',
+      properties: {
+        count: { type: 'integer' },
+        records: { type: 'array', items: { type: 'object', description: 'One redemption attempt' } }
+      }
+    },
+    GasByChain: {
+      type: 'object',
+      properties: {
+        chains: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              chainId: { type: 'integer', example: 8453 },
+              chainName: { type: 'string', example: 'Base' },
+              transactions: { type: 'integer', example: 42 },
+              gasUsed: { type: 'string', example: '4200000' },
+              gasCost: ref('Amount'),
+              formattedGasCost: { type: 'string', example: '0.00042 ETH' }
+            }
+          }
+        }
+      }
+    },
+    WebhookStatus: {
+      type: 'object',
+      properties: {
+        delivered: { type: 'integer' },
+        retried: { type: 'integer' },
+        deadLettered: { type: 'integer' },
+        pending: { type: 'integer' },
+        subscriptions: { type: 'integer' },
+        deadLetters: { type: 'array', items: { type: 'object', description: 'A delivery that gave up, with its event' } }
+      }
+    },
+    Redelivered: {
+      type: 'object',
+      properties: {
+        eventId: { type: 'string' },
+        redelivered: { type: 'array', items: { type: 'string', description: 'Subscription URL' } }
+      }
+    }
+  };
+}
+
+const ID_PARAMETER = { name: 'id', in: 'path', required: true, schema: { type: 'string' } };
+const IDEMPOTENCY_PARAMETER = {
+  name: 'Idempotency-Key',
+  in: 'header',
+  schema: { type: 'string', maxLength: 255 },
+  description: 'Retrying with the same key returns the original job (with Idempotent-Replayed: true) instead of redeeming again; reusing it for a different card or recipient returns 422'
+};
+const LEDGER_FILTERS = [
+  { name: 'from', in: 'query', schema: { type: 'string', format: 'date' } },
+  { name: 'to', in: 'query', schema: { type: 'string', format: 'date' } },
+  { name: 'chainId', in: 'query', schema: { type: 'integer' } },
+  { name: 'status', in: 'query', schema: { type: 'string', enum: ['confirmed', 'failed'] } }
+];
+
+// Every route. auth is "client" (API key or web session), "admin" (bearer token) or absent;
+// responses map a status to [description, schema name].
+function operations({ batchMaxCards }) {
+  return [
+    {
+      id: 'getCardInfo',
+      method: 'post',
+      path: '/api/card-info',
+      tag: 'Cards',
+      auth: 'client',
+      summary: 'Get card information',
+      description: 'Card details, token amount and the fees that apply when it is redeemed through this API.',
+      body: 'CardInfoRequest',
+      responses: { 200: ['Card information', 'CardInfo'], 404: ['Card not found', 'Error'] }
+    },
+    {
+      id: 'verifySecret',
+      method: 'post',
+      path: '/api/verify-secret',
+      tag: 'Cards',
+      auth: 'client',
+      summary: 'Verify a card secret',
+      description: 'Checks the secret by decrypting the card key, without revealing anything. Too many wrong secrets from one IP or for one card answer 429 for a while; a full decryption queue answers 503. Disabled (403) when NON_CUSTODIAL=required.',
+      body: 'VerifySecretRequest',
+      responses: {
+        200: ['The secret is valid', 'VerifySecretResult'],
+        404: ['Card not found', 'Error'],
+        503: ['Decryption queue full, retry after Retry-After seconds', 'Error']
+      }
+    },
+    {
+      id: 'resolveRecipient',
+      method: 'post',
+      path: '/api/resolve-recipient',
+      tag: 'Redemption',
+      auth: 'client',
+      summary: 'Resolve a recipient',
+      description: 'Resolves a 0x address, ENS name (on Ethereum) or Basename (on Base) and looks up the primary name of the address. Mixed-case addresses must have a valid EIP-55 checksum. Addresses where funds would be lost are refused (422); with a cardId, contract recipients come back as warnings.',
+      body: 'ResolveRecipientRequest',
+      responses: {
+        200: ['Resolved recipient', 'RecipientResolution'],
+        422: ['Funds sent to the recipient would be lost (RECIPIENT_BLOCKED)', 'Error'],
+        502: ['The name service could not be reached', 'Error']
+      }
+    },
+    {
+      id: 'redeem',
+      method: 'post',
+      path: '/api/redeem',
+      tag: 'Redemption',
+      auth: 'client',
+      summary: 'Redeem a card (gasless)',
+      description: 'Starts a redemption job and returns right away; follow it with GET /api/redemptions/{id} or its event stream. Only one redemption per card can be in flight. Disabled (403) when NON_CUSTODIAL=required.',
+      parameters: [IDEMPOTENCY_PARAMETER],
+      body: 'RedeemRequest',
+      responses: {
+        202: ['Redemption started', 'RedemptionAccepted'],
+        409: ['A redemption for this card is already in progress, or the recipient has warnings that were not acknowledged (WARNINGS_NOT_ACKNOWLEDGED, with warnings)', 'Error'],
+        422: ['Idempotency-Key was used for a different redemption, or funds sent to the recipient would be lost (RECIPIENT_BLOCKED)', 'Error']
+      }
+    },
+    {
+      id: 'previewRedemption',
+      method: 'post',
+      path: '/api/redeem/preview',
+      tag: 'Redemption',
+      auth: 'client',
+      summary: 'Preview a redemption',
+      description: 'Signs the redemption and simulates it from the service wallet (callStatic and estimateGas) without sending anything. Returns the gross amount, partner fee, net amount for the recipient, the gas the service would pay and, when it would fail, why (with the revert reason). Card secrets are refused (403) when NON_CUSTODIAL=required and signatures when NON_CUSTODIAL=off.',
+      body: 'PreviewRequest',
+      responses: {
+        200: ['Preview (check wouldSucceed)', 'RedemptionPreview'],
+        404: ['Card not found', 'Error'],
+        409: ['Card already redeemed or cancelled', 'Error'],
+        429: ['Too many failed secret attempts', 'Error']
+      }
+    },
+    {
+      id: 'relay',
+      method: 'post',
+      path: '/api/relay',
+      tag: 'Redemption',
+      auth: 'client',
+      summary: 'Relay a redemption signed in the browser',
+      description: 'Non-custodial redemption: the client decrypts the card and signs solidityKeccak256(["string","string","string","address"], ["Redeem card:", cardId, "to:", recipient]) as an Ethereum message with the card key. The signature must cover the resolved recipient address. Disabled (403) when NON_CUSTODIAL=off.',
+      parameters: [IDEMPOTENCY_PARAMETER],
+      body: 'RelayRequest',
+      responses: {
+        202: ['Redemption started', 'RedemptionAccepted'],
+        409: ['A redemption for this card is already in progress, or the recipient has warnings that were not acknowledged (WARNINGS_NOT_ACKNOWLEDGED, with warnings)', 'Error'],
+        422: ['Idempotency-Key was used for a different redemption, or funds sent to the recipient would be lost (RECIPIENT_BLOCKED)', 'Error']
+      }
+    },
+    {
+      id: 'redeemBatch',
+      method: 'post',
+      path: '/api/redeem/batch',
+      tag: 'Redemption',
+      auth: 'client',
+      summary: 'Redeem many cards to one recipient',
+      description: `Up to ${batchMaxCards} cards, sent as a cards array or CSV text. Every card is validated first, then the valid ones are redeemed grouped by chain. Poll GET /api/redeem/batch/{id} for the report.`,
+      body: 'BatchRequest',
+      responses: {
+        202: ['Batch started', 'BatchAccepted'],
+        409: ['The recipient has warnings for some of the cards that were not acknowledged (WARNINGS_NOT_ACKNOWLEDGED, with warnings)', 'Error'],
+        422: ['Funds sent to the recipient would be lost (RECIPIENT_BLOCKED)', 'Error']
+      }
+    },
+    {
+      id: 'getBatch',
+      method: 'get',
+      path: '/api/redeem/batch/{id}',
+      tag: 'Redemption',
+      summary: 'Get a batch report',
+      description: 'Per-card results and counts overall and per chain. Batch IDs are unguessable, so no key is needed.',
+      parameters: [ID_PARAMETER],
+      responses: { 200: ['Batch report', 'BatchReport'], 404: ['Batch not found', 'Error'] }
+    },
+    {
+      id: 'getRedemption',
+      method: 'get',
+      path: '/api/redemptions/{id}',
+      tag: 'Redemption',
+      summary: 'Get a redemption job',
+      description: 'status moves through queued, validated, signed, submitted (txHash set), mined, confirmed (result set) or failed (error set); a transaction still pending after TX_TIMEOUT_MINUTES is unconfirmed until it settles. Job IDs are unguessable, so no key is needed.',
+      parameters: [ID_PARAMETER],
+      responses: { 200: ['Redemption job', 'RedemptionJob'], 404: ['Redemption not found', 'Error'] }
+    },
+    {
+      id: 'streamRedemption',
+      method: 'get',
+      path: '/api/redemptions/{id}/events',
+      tag: 'Redemption',
+      summary: 'Stream redemption stages',
+      description: 'Server-sent events, one per stage and named after it, with the stage entry and the job. The stream closes after confirmed or failed.',
+      parameters: [ID_PARAMETER],
+      responses: { 200: ['text/event-stream of stages', null], 404: ['Redemption not found', 'Error'] }
+    },
+    {
+      id: 'getTransaction',
+      method: 'get',
+      path: '/api/tx/{chainId}/{hash}',
+      tag: 'Redemption',
+      summary: 'Get a redemption transaction',
+      description: 'Status of a redemption transaction sent by the service wallet, by any of its hashes: pending, mined, confirmed once it has the chain\'s confirmation depth, replaced (by a sped-up transaction, see replacedBy), dropped or failed. Used by the receipt page at /tx/{chainId}/{hash}. Transactions are public, so no key is needed.',
+      parameters: [
+        { name: 'chainId', in: 'path', required: true, schema: { type: 'integer' } },
+        { name: 'hash', in: 'path', required: true, schema: { type: 'string' } }
+      ],
+      responses: {
+        200: ['Transaction status', 'TransactionStatus'],
+        400: ['Unsupported chain or invalid hash', 'Error'],
+        404: ['Not a redemption by this service', 'Error']
+      }
+    },
+    {
+      id: 'createSession',
+      method: 'post',
+      path: '/api/session',
+      tag: 'Service',
+      summary: 'Start a web app session',
+      description: 'For the bundled web app only (same-site requests). Send the token as X-Redeem-Session in place of an API key.',
+      responses: { 200: ['Session', 'Session'], 403: ['Not a request from this site', 'Error'] }
+    },
+    {
+      id: 'getConfig',
+      method: 'get',
+      path: '/api/config',
+      tag: 'Service',
+      summary: 'Public client settings',
+      responses: { 200: ['Settings', 'Config'] }
+    },
+    {
+      id: 'getHealth',
+      method: 'get',
+      path: '/api/health',
+      tag: 'Service',
+      summary: 'Health check',
+      responses: { 200: ['Service is up', 'Health'] }
+    },
+    {
+      id: 'getTreasury',
+      method: 'get',
+      path: '/api/admin/treasury',
+      tag: 'Admin',
+      auth: 'admin',
+      summary: 'Service wallet balances',
+      parameters: [{ name: 'refresh', in: 'query', schema: { type: 'string' }, description: 'Check balances now' }],
+      responses: { 200: ['Balances per chain', 'TreasuryStatus'] }
+    },
+    {
+      id: 'getLedger',
+      method: 'get',
+      path: '/api/admin/ledger',
+      tag: 'Admin',
+      auth: 'admin',
+      summary: 'Redemption ledger',
+      parameters: [...LEDGER_FILTERS, { name: 'format', in: 'query', schema: { type: 'string', enum: ['csv'] } }],
+      responses: { 200: ['Ledger records (or a CSV download)', 'LedgerRecords'], 400: ['Invalid from/to date', 'Error'] }
+    },
+    {
+      id: 'getLedgerGas',
+      method: 'get',
+      path: '/api/admin/ledger/gas',
+      tag: 'Admin',
+      auth: 'admin',
+      summary: 'Gas spent per chain',
+      parameters: LEDGER_FILTERS,
+      responses: { 200: ['Gas per chain', 'GasByChain'], 400: ['Invalid from/to date', 'Error'] }
+    },
+    {
+      id: 'getWebhooks',
+      method: 'get',
+      path: '/api/admin/webhooks',
+      tag: 'Admin',
+      auth: 'admin',
+      summary: 'Webhook delivery stats and dead letters',
+      parameters: LEDGER_FILTERS.slice(0, 2),
+      responses: { 200: ['Stats and dead-lettered deliveries', 'WebhookStatus'], 400: ['Invalid from/to date', 'Error'] }
+    },
+    {
+      id: 'redeliverWebhook',
+      method: 'post',
+      path: '/api/admin/webhooks/redeliver',
+      tag: 'Admin',
+      auth: 'admin',
+      summary: 'Redeliver a dead-lettered event',
+      body: 'RedeliverRequest',
+      responses: { 202: ['Redelivery started', 'Redelivered'], 404: ['Dead-lettered event not found', 'Error'] }
+    }
+  ];
+}
+
+// Responses every operation with this kind of auth can return
+const AUTH_RESPONSES = {
+  client: {
+    401: 'Missing, invalid or revoked API key, or expired session',
+    403: 'Key not allowed from this origin, or the endpoint is disabled on this server',
+    429: 'Rate limit or failed-attempt lockout; retry after Retry-After seconds'
+  },
+  admin: {
+    401: 'Missing or wrong admin token',
+    503: 'Admin endpoints are disabled (no ADMIN_TOKEN)'
+  }
+};
+
+const SECURITY = {
+  client: [{ apiKey: [] }, { webSession: [] }],
+  admin: [{ adminToken: [] }]
+};
+
+function jsonContent(schemaName) {
+  return { 'application/json': { schema: ref(schemaName) } };
+}
+
+// Build the OpenAPI 3.0 document
+function buildDocument({ version, components, ops }) {
+  const paths = {};
+  for (const op of ops) {
+    const responses = {};
+    for (const [status, [description, schemaName]] of Object.entries(op.responses)) {
+      responses[status] = schemaName ? { description, content: jsonContent(schemaName) } : { description };
+    }
+    if (op.body) {
+      responses[400] = { description: 'Invalid request (see error and details)', content: jsonContent('Error') };
+    }
+    for (const [status, description] of Object.entries(AUTH_RESPONSES[op.auth] || {})) {
+      if (!responses[status]) responses[status] = { description, content: jsonContent('Error') };
+    }
+
+    paths[op.path] = paths[op.path] || {};
+    paths[op.path][op.method] = {
+      operationId: op.id,
+      tags: [op.tag],
+      summary: op.summary,
+      ...(op.description && { description: op.description }),
+      ...(op.parameters && { parameters: op.parameters }),
+      ...(op.auth && { security: SECURITY[op.auth] }),
+      ...(op.body && { requestBody: { required: true, content: jsonContent(op.body) } }),
+      responses
+    };
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Redeem Base API',
+      version,
+      description: 'Gasless UniVoucher gift card redemption API'
+    },
+    tags: [
+      { name: 'Cards' },
+      { name: 'Redemption' },
+      { name: 'Service' },
+      { name: 'Admin', description: 'Requires Authorization: Bearer <ADMIN_TOKEN>' }
+    ],
+    paths,
+    components: {
+      schemas: components,
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        webSession: { type: 'apiKey', in: 'header', name: 'X-Redeem-Session', description: 'Token from POST /api/session (web app only)' },
+        adminToken: { type: 'http', scheme: 'bearer' }
+      }
+    }
+  };
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+// Validate value against schema; returns a list of { field, message } problems (empty when valid)
+function validateSchema(schema, value, field, resolve) {
+  if (schema.$ref) return validateSchema({ ...resolve(schema.$ref), ...schema, $ref: undefined }, value, field, resolve);
+
+  const problem = message => [{ field: field || 'body', message: `${field || 'Request body'} ${message}` }];
+  if (value === null && schema.nullable) return [];
+
+  const actual = typeOf(value);
+  if (schema.type && actual !== schema.type && !(schema.type === 'number' && actual === 'integer')) {
+    return problem(`must be ${['array', 'integer', 'object'].includes(schema.type) ? 'an' : 'a'} ${schema.type}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) return problem(`must be one of ${schema.enum.join(', ')}`);
+
+  if (actual === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return problem(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) return problem(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return problem(schema['x-message'] || `must match ${schema.pattern}`);
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) return problem(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) return problem(`must have at most ${schema.maxItems} items`);
+    if (schema.items) return value.flatMap((item, i) => validateSchema(schema.items, item, `${field}[${i}]`, resolve));
+  }
+
+  if (actual === 'object') {
+    const problems = [];
+    const prefix = field ? `${field}.` : '';
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) problems.push({ field: `${prefix}${name}`, message: `${prefix}${name} is required` });
+    }
+    for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[name] !== undefined) problems.push(...validateSchema(propertySchema, value[name], `${prefix}${name}`, resolve));
+    }
+    if (!problems.length && schema.anyOf && !schema.anyOf.some(option => !validateSchema(option, value, field, resolve).length)) {
+      problems.push(...problem(schema['x-message'] || 'is not valid'));
+    }
+    return problems;
+  }
+
+  return [];
+}
+
+// Send problems as a 400 response: { error: <first problem>, code, details: [...] }
+function sendValidationError(res, problems) {
+  res.status(400).json({ error: problems[0].message, code: 'INVALID_REQUEST', details: problems });
+}
+
+// The API schema: the OpenAPI document, body validation middleware per operation, and
+// validation of other values against a named schema
+function createApiSchema({ batchMaxCards, version = '1.0.0' }) {
+  const components = schemas({ batchMaxCards });
+  const ops = operations({ batchMaxCards });
+  const document = buildDocument({ version, components, ops });
+
+  function resolve(pointer) {
+    const schema = components[pointer.replace('#/components/schemas/', '')];
+    if (!schema) throw new Error(`Unknown schema ${pointer}`);
+    return schema;
+  }
+
+  // Problems with value against the named schema; field names the value in messages
+  function validate(schemaName, value, field = '') {
+    return validateSchema(ref(schemaName), value, field, resolve);
+  }
+
+  // Express middleware rejecting request bodies that do not match the operation's schema
+  function validateBody(operationId) {
+    const op = ops.find(o => o.id === operationId);
+    if (!op || !op.body) throw new Error(`Operation ${operationId} has no request body schema`);
+    return (req, res, next) => {
+      const problems = validate(op.body, req.body);
+      if (problems.length) return sendValidationError(res, problems);
+      next();
+    };
+  }
+
+  return { document, operations: ops, validate, validateBody };
+}
+
+// Express error handler answering unparseable and oversized JSON bodies like failed validation
+function handleBodyErrors(error, req, res, next) {
+  if (error.type === 'entity.too.large') {
+    return sendValidationError(res, [{ field: 'body', message: `Request body is too large (limit ${error.limit} bytes)` }]);
+  }
+  if (error.type === 'entity.parse.failed') {
+    return sendValidationError(res, [{ field: 'body', message: 'Request body is not valid JSON' }]);
+  }
+  if (error.type === 'encoding.unsupported' || error.type === 'charset.unsupported') {
+    return sendValidationError(res, [{ field: 'body', message: 'Request body encoding is not supported' }]);
+  }
+  next(error);
+}
+
+module.exports = {
+  createApiSchema,
+  sendValidationError,
+  handleBodyErrors
+};
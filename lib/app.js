@@ -0,0 +1,48 @@
+const express = require('express');
+const path = require('path');
+const { createRedeemRouter } = require('./redeem-router');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+
+// The standalone web app: the redemption API plus the bundled frontend. Takes the
+// createRedeemRouter options and trustProxy; the router is at app.locals.redeem.
+function createApp({ trustProxy, ...options } = {}) {
+  const app = express();
+
+  if (trustProxy !== undefined && trustProxy !== '') {
+    app.set('trust proxy', trustProxy);
+  }
+
+  const redeem = createRedeemRouter(options);
+  app.locals.redeem = redeem;
+
+  app.use(express.static(PUBLIC_DIR));
+
+  // ethers for browser-side (non-custodial) signing
+  app.get('/vendor/ethers.umd.min.js', (req, res) => {
+    res.sendFile(path.join(path.dirname(require.resolve('ethers/package.json')), 'dist', 'ethers.umd.min.js'));
+  });
+
+  // jsQR for camera QR scanning in browsers without BarcodeDetector
+  app.get('/vendor/jsQR.js', (req, res) => {
+    res.sendFile(path.join(path.dirname(require.resolve('jsqr/package.json')), 'dist', 'jsQR.js'));
+  });
+
+  app.use(redeem);
+
+  // Serve frontend
+  app.get('/', (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
+  });
+
+  // Shareable redemption receipt
+  app.get('/tx/:chainId/:hash', (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, 'receipt.html'));
+  });
+
+  return app;
+}
+
+module.exports = {
+  createApp
+};
@@ -0,0 +1,77 @@
+// Counts failed attempts per key in a sliding window and locks the key out
+// for lockoutMs once maxAttempts is reached. Attempts still in progress count towards the
+// limit (see acquire), so concurrent attempts cannot all get in before the first one fails.
+function createAttemptLimiter({ maxAttempts, windowMs, lockoutMs }) {
+  const entries = new Map(); // key -> { failures: [timestamps], lockedUntil, pending }
+
+  function prune(entry, now) {
+    entry.failures = entry.failures.filter(at => now - at < windowMs);
+  }
+
+  // Seconds until the key may try again, or 0 when it is not locked out
+  function retryAfter(key) {
+    const entry = entries.get(key);
+    if (!entry) return 0;
+    const remaining = entry.lockedUntil - Date.now();
+    return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+  }
+
+  // Start an attempt: false when the key is locked out or its failures plus attempts in
+  // progress already reach the limit. Every acquired attempt must be released.
+  function acquire(key) {
+    const now = Date.now();
+    const entry = entries.get(key) || { failures: [], lockedUntil: 0, pending: 0 };
+    if (entry.lockedUntil > now) return false;
+    prune(entry, now);
+    if (entry.failures.length + entry.pending >= maxAttempts) return false;
+    entry.pending += 1;
+    entries.set(key, entry);
+    return true;
+  }
+
+  // Finish an acquired attempt, counting it when it failed
+  function release(key, failed) {
+    const entry = entries.get(key);
+    if (entry) entry.pending -= 1;
+    if (failed) recordFailure(key);
+  }
+
+  function recordFailure(key) {
+    const now = Date.now();
+    const entry = entries.get(key) || { failures: [], lockedUntil: 0, pending: 0 };
+    prune(entry, now);
+    entry.failures.push(now);
+    if (entry.failures.length >= maxAttempts) {
+      entry.lockedUntil = now + lockoutMs;
+      entry.failures = [];
+    }
+    entries.set(key, entry);
+  }
+
+  // Forget the key's failures and lockout (attempts in progress still count)
+  function reset(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    if (entry.pending) {
+      Object.assign(entry, { failures: [], lockedUntil: 0 });
+    } else {
+      entries.delete(key);
+    }
+  }
+
+  // Drop entries that are neither locked nor have recent failures
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      prune(entry, now);
+      if (entry.lockedUntil <= now && entry.failures.length === 0 && !entry.pending) entries.delete(key);
+    }
+  }, 60 * 1000);
+  sweeper.unref();
+
+  return { retryAfter, acquire, release, recordFailure, reset };
+}
+
+module.exports = {
+  createAttemptLimiter
+};
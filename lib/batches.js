@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+
+// Parse "cardId,cardSecret" rows (comma, semicolon or tab separated, optional header row)
+function parseCardsCsv(text) {
+  const cards = [];
+  const lines = String(text).split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+  lines.forEach((line, index) => {
+    const [cardId, cardSecret] = line.split(/[,;\t]/).map(field => field.trim().replace(/^"(.*)"$/, '$1'));
+    // Skip a header row such as "cardId,cardSecret"
+    if (index === 0 && /card/i.test(cardId) && !/\d/.test(cardId)) return;
+    cards.push({ cardId, cardSecret });
+  });
+
+  return cards;
+}
+
+// In-memory store of batch redemptions. A batch only holds the job ID of each card;
+// its report is built from the current state of those jobs.
+function createBatchStore({ retentionMs = 60 * 60 * 1000 } = {}) {
+  const batches = new Map();
+
+  function create({ recipientAddress, items }) {
+    const batch = {
+      id: crypto.randomUUID(),
+      recipientAddress,
+      items, // [{ cardId, jobId, error, errorCode }]
+      createdAt: new Date().toISOString()
+    };
+    batches.set(batch.id, batch);
+    setTimeout(() => batches.delete(batch.id), retentionMs).unref();
+    return batch;
+  }
+
+  function get(id) {
+    return batches.get(id) || null;
+  }
+
+  return { create, get };
+}
+
+// Build the per-card results and summary of a batch from its jobs
+function buildBatchReport(batch, getJob) {
+  const results = batch.items.map(item => {
+    const job = item.jobId ? getJob(item.jobId) : null;
+    if (!job) {
+      return {
+        cardId: item.cardId,
+        jobId: item.jobId,
+        chainId: null,
+        status: 'failed',
+        amount: null,
+        txHash: null,
+        explorerUrl: null,
+        error: item.error || 'Redemption expired',
+        errorCode: item.errorCode || 'NOT_FOUND'
+      };
+    }
+    // A sped-up or reorged transaction is submitted again; the latest hash is the one to follow
+    const submitted = [...job.stages].reverse().find(s => s.stage === 'submitted');
+    return {
+      cardId: item.cardId,
+      jobId: job.id,
+      chainId: job.chainId,
+      status: job.status,
+      amount: job.result ? job.result.amount : null,
+      txHash: job.txHash,
+      explorerUrl: job.result ? job.result.explorerUrl : submitted ? submitted.explorerUrl : null,
+      error: job.error,
+      errorCode: job.errorCode
+    };
+  });
+
+  const byChain = {};
+  for (const result of results) {
+    const key = result.chainId === null ? 'unknown' : String(result.chainId);
+    byChain[key] = byChain[key] || { total: 0, confirmed: 0, failed: 0, pending: 0 };
+    byChain[key].total++;
+    if (result.status === 'confirmed') byChain[key].confirmed++;
+    else if (result.status === 'failed') byChain[key].failed++;
+    else byChain[key].pending++;
+  }
+
+  const confirmed = results.filter(r => r.status === 'confirmed').length;
+  const failed = results.filter(r => r.status === 'failed').length;
+
+  return {
+    id: batch.id,
+    recipientAddress: batch.recipientAddress,
+    createdAt: batch.createdAt,
+    done: confirmed + failed === results.length,
+    summary: { total: results.length, confirmed, failed, pending: results.length - confirmed - failed, byChain },
+    results
+  };
+}
+
+module.exports = {
+  parseCardsCsv,
+  createBatchStore,
+  buildBatchReport
+};
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+const PBKDF2_ITERATIONS = 310000;
+
+function invalidSecret() {
+  const error = new Error('Invalid card secret');
+  error.code = 'INVALID_SECRET';
+  return error;
+}
+
+// Decrypt a card's AES-256-GCM private key with its secret. The PBKDF2 key derivation
+// runs on the libuv thread pool through a bounded queue: at most `concurrency`
+// derivations run at once, and once `maxQueue` are waiting new requests are turned
+// away with a DECRYPT_BUSY error instead of piling up.
+// A key that decrypted a card is kept for verifiedTtlMs, so checking the secret, previewing
+// and redeeming the same card cost one derivation. Wrong secrets are never cached.
+function createCardDecryptor({ concurrency = 2, maxQueue = 50, verifiedTtlMs = 10 * 60 * 1000, maxVerified = 1000 } = {}) {
+  let running = 0;
+  const waiting = [];
+  const verified = new Map(); // HMAC of salt and secret -> { key, expiresAt }
+  const cacheSecret = crypto.randomBytes(32);
+
+  function acquire() {
+    if (running < concurrency) {
+      running++;
+      return Promise.resolve();
+    }
+    if (waiting.length >= maxQueue) {
+      const error = new Error('Server is busy verifying card secrets, please try again shortly');
+      error.code = 'DECRYPT_BUSY';
+      return Promise.reject(error);
+    }
+    return new Promise(resolve => waiting.push(resolve));
+  }
+
+  function release() {
+    const next = waiting.shift();
+    if (next) next();
+    else running--;
+  }
+
+  async function deriveKey(secret, salt) {
+    await acquire();
+    try {
+      return await pbkdf2(secret, salt, PBKDF2_ITERATIONS, 32, 'sha256');
+    } finally {
+      release();
+    }
+  }
+
+  function cacheKey(secret, salt) {
+    return crypto.createHmac('sha256', cacheSecret).update(salt).update(secret).digest('hex');
+  }
+
+  function cachedKey(id) {
+    const entry = verified.get(id);
+    if (!entry) return null;
+    if (entry.expiresAt > Date.now()) return entry.key;
+    verified.delete(id);
+    return null;
+  }
+
+  function rememberKey(id, key) {
+    if (!verifiedTtlMs) return;
+    verified.delete(id);
+    verified.set(id, { key, expiresAt: Date.now() + verifiedTtlMs });
+    // Oldest first, so drop from the front
+    while (verified.size > maxVerified) verified.delete(verified.keys().next().value);
+  }
+
+  // Decrypt private key using card secret
+  async function decryptPrivateKey(encryptedData, cardSecret) {
+    let data;
+    let salt;
+    try {
+      data = JSON.parse(encryptedData);
+      salt = Buffer.from(data.salt, 'hex');
+    } catch (error) {
+      throw invalidSecret();
+    }
+
+    // Secrets are printed in capitals; accept them typed in any case, with or without dashes
+    const secret = cardSecret.replace(/-/g, '').toUpperCase();
+    const id = cacheKey(secret, salt);
+    const key = cachedKey(id) || await deriveKey(secret, salt);
+
+    try {
+      const iv = Buffer.from(data.iv, 'hex');
+      const ciphertext = Buffer.from(data.ciphertext, 'base64');
+      
+      const authTagLength = 16;
+      if (ciphertext.length < authTagLength) {
+        throw new Error('Invalid ciphertext length');
+      }
+      
+      const authTag = ciphertext.slice(-authTagLength);
+      const encryptedContent = ciphertext.slice(0, -authTagLength);
+      
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+      decipher.setAuthTag(authTag);
+      
+      let decrypted = decipher.update(encryptedContent);
+      decrypted = Buffer.concat([decrypted, decipher.final()]);
+      
+      rememberKey(id, key);
+      return decrypted.toString('utf8');
+    } catch (error) {
+      throw invalidSecret();
+    }
+  }
+
+  function stats() {
+    return { running, queued: waiting.length, concurrency, maxQueue };
+  }
+
+  return { decryptPrivateKey, stats };
+}
+
+module.exports = {
+  PBKDF2_ITERATIONS,
+  createCardDecryptor
+};
@@ -0,0 +1,133 @@
+const { ethers } = require('ethers');
+
+const DEFAULT_API_URL = 'https://api.univoucher.com/v1';
+
+// Derive the card status string the UniVoucher API uses
+function deriveStatus(active, redeemedBy, cancelledBy) {
+  if (active) return 'active';
+  if (redeemedBy && redeemedBy !== ethers.constants.AddressZero) return 'redeemed';
+  if (cancelledBy && cancelledBy !== ethers.constants.AddressZero) return 'cancelled';
+  return 'inactive';
+}
+
+// Card source backed by the hosted UniVoucher API
+function createApiCardSource({ baseUrl = DEFAULT_API_URL } = {}) {
+  return {
+    name: 'api',
+
+    async getCard(cardId) {
+      const response = await fetch(`${baseUrl}/cards/single?id=${encodeURIComponent(cardId)}`);
+      if (response.status === 404) return null;
+      if (!response.ok) {
+        throw new Error(`API error: ${response.status}`);
+      }
+
+      const card = await response.json();
+      return {
+        ...card,
+        chainId: Number(card.chainId),
+        tokenAmount: card.tokenAmount.toString(),
+        status: card.status || deriveStatus(card.active, card.redeemedBy, card.cancelledBy),
+        source: 'api'
+      };
+    }
+  };
+}
+
+// Card source that reads getCardData straight from the UniVoucher contract
+function createContractCardSource({ chains, getProvider, getContractAddress, abi }) {
+  // Card IDs start with the prefix of the chain they were created on,
+  // so try the matching chain first and only scan the others on a miss
+  function candidateChains(cardId) {
+    const ids = Object.keys(chains).map(Number);
+    const matching = ids.filter(id => {
+      const prefix = chains[id].cardPrefix;
+      return prefix !== undefined && String(cardId).startsWith(String(prefix));
+    });
+    return [...matching, ...ids.filter(id => !matching.includes(id))];
+  }
+
+  async function readCard(cardId, chainId) {
+    const provider = getProvider(chainId);
+    const contract = new ethers.Contract(getContractAddress(chainId), abi, provider);
+
+    let data;
+    try {
+      data = await contract.getCardData(cardId);
+    } catch (error) {
+      // Unknown cards revert with a contract error rather than returning an empty struct
+      if (error.code === ethers.errors.CALL_EXCEPTION) return null;
+      throw error;
+    }
+
+    if (data.slotId === ethers.constants.AddressZero) return null;
+
+    return {
+      cardId: String(cardId),
+      chainId,
+      slotId: data.slotId,
+      active: data.active,
+      status: deriveStatus(data.active, data.redeemedBy, data.cancelledBy),
+      tokenAddress: data.tokenAddress,
+      tokenAmount: data.tokenAmount.toString(),
+      feePaid: data.feePaid.toString(),
+      creator: data.creator,
+      message: data.message,
+      encryptedPrivateKey: data.encryptedPrivateKey,
+      redeemedBy: data.redeemedBy === ethers.constants.AddressZero ? null : data.redeemedBy,
+      cancelledBy: data.cancelledBy === ethers.constants.AddressZero ? null : data.cancelledBy,
+      partnerAddress: data.partnerAddress === ethers.constants.AddressZero ? null : data.partnerAddress,
+      createdAt: new Date(data.timestamp.toNumber() * 1000).toISOString(),
+      finalizedAt: data.finalizedTimestamp.isZero()
+        ? null
+        : new Date(data.finalizedTimestamp.toNumber() * 1000).toISOString(),
+      source: 'contract'
+    };
+  }
+
+  return {
+    name: 'contract',
+
+    async getCard(cardId) {
+      let lastError = null;
+      for (const chainId of candidateChains(cardId)) {
+        try {
+          const card = await readCard(cardId, chainId);
+          if (card) return card;
+        } catch (error) {
+          lastError = error;
+        }
+      }
+      if (lastError) throw lastError;
+      return null;
+    }
+  };
+}
+
+// Query sources in order, falling through on errors and on cards a source does not know
+// (e.g. the indexer lagging behind a freshly created card)
+function createCardFetcher(sources, { logger = console } = {}) {
+  if (!sources.length) throw new Error('At least one card source is required');
+
+  return async function fetchCard(cardId) {
+    let lastError = null;
+    for (const source of sources) {
+      try {
+        const card = await source.getCard(cardId);
+        if (card) return card;
+      } catch (error) {
+        logger.error(`Card source "${source.name}" failed:`, error.message);
+        lastError = error;
+      }
+    }
+    if (lastError) throw lastError;
+    return null;
+  };
+}
+
+module.exports = {
+  DEFAULT_API_URL,
+  createApiCardSource,
+  createContractCardSource,
+  createCardFetcher
+};
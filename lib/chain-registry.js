@@ -0,0 +1,186 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+
+// UniVoucher contract address, the same on every mainnet it is deployed to
+const DEFAULT_UNIVOUCHER_ADDRESS = '0x51553818203e38ce0E78e4dA05C07ac779ec5b58';
+
+// Built-in chains. cardPrefix is the leading digit of card IDs minted on that chain,
+// eip1559 marks chains that get maxFeePerGas/maxPriorityFeePerGas instead of a legacy gasPrice,
+// lowBalance/minBalance are the default service wallet alert and disable thresholds,
+// webGasBudget is the default daily gas the web app's sessions may spend on the chain,
+// confirmations is the block depth a redemption waits for (deeper where reorgs are common),
+// alchemyNetwork is used to build an RPC URL from ALCHEMY_KEY when no rpcUrls are configured,
+// and explorerTxUrl is a template with a {hash} placeholder.
+// Testnets are off unless enabled and need their UniVoucher contract address configured.
+const DEFAULT_CHAINS = {
+  1: { name: 'Ethereum', symbol: 'ETH', decimals: 18, cardPrefix: 1, confirmations: 2, eip1559: true, lowBalance: '0.05', minBalance: '0.01', webGasBudget: '0.05', alchemyNetwork: 'eth-mainnet', explorerTxUrl: 'https://etherscan.io/tx/{hash}' },
+  56: { name: 'BNB Chain', symbol: 'BNB', decimals: 18, cardPrefix: 3, confirmations: 5, eip1559: false, lowBalance: '0.02', minBalance: '0.005', webGasBudget: '0.02', alchemyNetwork: 'bnb-mainnet', explorerTxUrl: 'https://bscscan.com/tx/{hash}' },
+  137: { name: 'Polygon', symbol: 'POL', decimals: 18, cardPrefix: 4, confirmations: 10, eip1559: true, lowBalance: '5', minBalance: '1', webGasBudget: '5', alchemyNetwork: 'polygon-mainnet', explorerTxUrl: 'https://polygonscan.com/tx/{hash}' },
+  10: { name: 'Optimism', symbol: 'ETH', decimals: 18, cardPrefix: 6, confirmations: 1, eip1559: true, lowBalance: '0.005', minBalance: '0.001', webGasBudget: '0.005', alchemyNetwork: 'opt-mainnet', explorerTxUrl: 'https://optimistic.etherscan.io/tx/{hash}' },
+  42161: { name: 'Arbitrum', symbol: 'ETH', decimals: 18, cardPrefix: 5, confirmations: 1, eip1559: true, lowBalance: '0.005', minBalance: '0.001', webGasBudget: '0.005', alchemyNetwork: 'arb-mainnet', explorerTxUrl: 'https://arbiscan.io/tx/{hash}' },
+  8453: { name: 'Base', symbol: 'ETH', decimals: 18, cardPrefix: 2, confirmations: 1, eip1559: true, lowBalance: '0.005', minBalance: '0.001', webGasBudget: '0.005', alchemyNetwork: 'base-mainnet', explorerTxUrl: 'https://basescan.org/tx/{hash}' },
+  43114: { name: 'Avalanche', symbol: 'AVAX', decimals: 18, cardPrefix: 7, confirmations: 1, eip1559: true, lowBalance: '0.5', minBalance: '0.1', webGasBudget: '0.5', alchemyNetwork: 'avax-mainnet', explorerTxUrl: 'https://snowtrace.io/tx/{hash}' },
+  11155111: { name: 'Sepolia', symbol: 'ETH', decimals: 18, confirmations: 1, eip1559: true, testnet: true, webGasBudget: '0.05', alchemyNetwork: 'eth-sepolia', explorerTxUrl: 'https://sepolia.etherscan.io/tx/{hash}', univoucherAddress: null },
+  84532: { name: 'Base Sepolia', symbol: 'ETH', decimals: 18, confirmations: 1, eip1559: true, testnet: true, webGasBudget: '0.05', alchemyNetwork: 'base-sepolia', explorerTxUrl: 'https://sepolia.basescan.org/tx/{hash}', univoucherAddress: null }
+};
+
+function parseList(value) {
+  return String(value).split(',').map(s => s.trim()).filter(Boolean);
+}
+
+// Replace ${VAR} in config file values with environment variables, so RPC keys stay out of the file
+function interpolate(value, env) {
+  return value.replace(/\$\{(\w+)\}/g, (match, name) => env[name] || '');
+}
+
+// Build the enabled chains from the built-in defaults, an optional JSON config file and the
+// environment. The file looks like { "enabled": [8453, 84532], "chains": { "84532": { ... } } }
+// where each chain entry overrides or extends the defaults. Environment overrides win:
+// CHAINS_ENABLED, RPC_URLS_<chainId> (comma separated; RPC_URL_<chainId> also works),
+// RPC_QUORUM_<chainId>, UNIVOUCHER_ADDRESS (all chains) and UNIVOUCHER_ADDRESS_<chainId>,
+// EXPLORER_TX_URL_<chainId> and REDEEM_CONFIRMATIONS_<chainId>.
+function loadChainRegistry({ env = process.env, file = env.CHAINS_CONFIG } = {}) {
+  let config = {};
+  if (file) {
+    try {
+      config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read chain config ${file}: ${error.message}`);
+    }
+  }
+
+  const definitions = { ...DEFAULT_CHAINS };
+  for (const [chainId, overrides] of Object.entries(config.chains || {})) {
+    definitions[chainId] = { ...definitions[chainId], ...overrides };
+  }
+
+  let enabledIds;
+  if (env.CHAINS_ENABLED) {
+    enabledIds = parseList(env.CHAINS_ENABLED);
+  } else if (config.enabled) {
+    enabledIds = config.enabled.map(String);
+  } else {
+    enabledIds = Object.keys(definitions).filter(id => !definitions[id].testnet);
+  }
+
+  const chains = {};
+  for (const chainId of enabledIds) {
+    const definition = definitions[chainId];
+    if (!definition) throw new Error(`Chain ${chainId} is enabled but not defined in the chain config`);
+
+    let rpcUrls = (definition.rpcUrls || []).map(url => interpolate(url, env));
+    const envUrls = env[`RPC_URLS_${chainId}`] || env[`RPC_URL_${chainId}`];
+    if (envUrls) {
+      rpcUrls = parseList(envUrls);
+    } else if (!rpcUrls.length && definition.alchemyNetwork && env.ALCHEMY_KEY) {
+      rpcUrls = [`https://${definition.alchemyNetwork}.g.alchemy.com/v2/${env.ALCHEMY_KEY}`];
+    }
+
+    const univoucherAddress = env[`UNIVOUCHER_ADDRESS_${chainId}`]
+      || (definition.univoucherAddress !== undefined ? definition.univoucherAddress : env.UNIVOUCHER_ADDRESS || DEFAULT_UNIVOUCHER_ADDRESS);
+
+    chains[chainId] = {
+      ...definition,
+      chainId: Number(chainId),
+      rpcUrls,
+      rpcQuorum: parseInt(env[`RPC_QUORUM_${chainId}`] || definition.rpcQuorum || '1', 10),
+      univoucherAddress,
+      confirmations: parseInt(env[`REDEEM_CONFIRMATIONS_${chainId}`] || definition.confirmations || '1', 10),
+      explorerTxUrl: env[`EXPLORER_TX_URL_${chainId}`] || definition.explorerTxUrl || null
+    };
+  }
+
+  return chains;
+}
+
+// Problems that keep the enabled chains from working, as a list of messages. RPC URLs are
+// optional when providers are injected (requireRpcUrls: false).
+function validateChains(chains, { requireRpcUrls = true } = {}) {
+  const problems = [];
+  if (!Object.keys(chains).length) problems.push('No chains are enabled');
+
+  for (const [chainId, chain] of Object.entries(chains)) {
+    const label = `Chain ${chainId}${chain.name ? ` (${chain.name})` : ''}`;
+    if (!chain.name || !chain.symbol) problems.push(`${label} needs a name and symbol`);
+    if (!Number.isInteger(chain.decimals)) problems.push(`${label} needs integer decimals`);
+    if (chain.confirmations !== undefined && !(Number.isInteger(chain.confirmations) && chain.confirmations >= 1)) {
+      problems.push(`${label} confirmations must be a whole number of blocks, at least 1 (REDEEM_CONFIRMATIONS_${chainId})`);
+    }
+    if (requireRpcUrls) {
+      if (!chain.rpcUrls || !chain.rpcUrls.length) {
+        problems.push(chain.alchemyNetwork
+          ? `${label} has no RPC URL: set ALCHEMY_KEY or RPC_URLS_${chainId}`
+          : `${label} has no RPC URL: set rpcUrls in the chain config or RPC_URLS_${chainId}`);
+      } else if (!(chain.rpcQuorum >= 1 && chain.rpcQuorum <= chain.rpcUrls.length)) {
+        problems.push(`${label} RPC quorum must be between 1 and its number of RPC URLs`);
+      }
+    }
+    if (chain.webGasBudget !== undefined) {
+      try {
+        ethers.utils.parseEther(String(chain.webGasBudget));
+      } catch (error) {
+        problems.push(`${label} webGasBudget must be an amount in ${chain.symbol || 'native units'}`);
+      }
+    }
+    if (!chain.univoucherAddress || !ethers.utils.isAddress(chain.univoucherAddress)) {
+      problems.push(`${label} needs a valid UniVoucher contract address (UNIVOUCHER_ADDRESS_${chainId})`);
+    }
+  }
+  return problems;
+}
+
+// Provider over several RPC URLs. ethers' FallbackProvider has no raw send(), which the
+// fee strategy needs for eth_feeHistory, so raw calls go to the first backend that answers.
+function createFallbackProvider(chain) {
+  const network = { chainId: chain.chainId, name: chain.name };
+  const backends = chain.rpcUrls.map(url => new ethers.providers.StaticJsonRpcProvider(url, network));
+  const provider = new ethers.providers.FallbackProvider(
+    backends.map((backend, index) => ({ provider: backend, priority: index + 1, weight: 1, stallTimeout: 2000 })),
+    chain.rpcQuorum
+  );
+
+  provider.send = async (method, params) => {
+    let lastError;
+    for (const backend of backends) {
+      try {
+        return await backend.send(method, params);
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError;
+  };
+  return provider;
+}
+
+// Cached provider per enabled chain: a plain JSON-RPC provider for one URL,
+// a fallback/quorum provider for several
+function createProviderFactory(chains) {
+  const providers = new Map();
+
+  return function getProvider(chainId) {
+    const chain = chains[chainId];
+    if (!chain) throw new Error('Unsupported chain');
+
+    if (!providers.has(chain.chainId)) {
+      providers.set(chain.chainId, chain.rpcUrls.length > 1
+        ? createFallbackProvider(chain)
+        : new ethers.providers.StaticJsonRpcProvider(chain.rpcUrls[0], { chainId: chain.chainId, name: chain.name }));
+    }
+    return providers.get(chain.chainId);
+  };
+}
+
+// Explorer link for a transaction, or null when the chain has no explorer
+function explorerTxUrl(chain, hash) {
+  return chain && chain.explorerTxUrl ? chain.explorerTxUrl.replace('{hash}', hash) : null;
+}
+
+module.exports = {
+  DEFAULT_UNIVOUCHER_ADDRESS,
+  DEFAULT_CHAINS,
+  loadChainRegistry,
+  validateChains,
+  createProviderFactory,
+  explorerTxUrl
+};
@@ -0,0 +1,116 @@
+const { ethers } = require('ethers');
+
+function gasBudgetExceeded(message) {
+  const error = new Error(message);
+  error.code = 'GAS_BUDGET_EXCEEDED';
+  return error;
+}
+
+function utcDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Fixed one-minute windows of request counts per client
+function createRateLimiter() {
+  const windows = new Map(); // key -> { start, count }
+
+  // Count a request; returns seconds until the next window when the limit is reached, else 0
+  function take(key, limitPerMinute) {
+    const now = Date.now();
+    const start = now - (now % 60000);
+    let entry = windows.get(key);
+    if (!entry || entry.start !== start) {
+      entry = { start, count: 0 };
+      windows.set(key, entry);
+    }
+    if (entry.count >= limitPerMinute) return Math.ceil((start + 60000 - now) / 1000);
+    entry.count++;
+    return 0;
+  }
+
+  const sweeper = setInterval(() => {
+    const start = Date.now() - (Date.now() % 60000);
+    for (const [key, entry] of windows) {
+      if (entry.start !== start) windows.delete(key);
+    }
+  }, 60 * 1000);
+  sweeper.unref();
+
+  return { take };
+}
+
+// Gas spent per client and chain per UTC day. A redemption reserves its worst-case gas cost
+// before it is sent, and the reservation is replaced by the actual cost once it is known,
+// so concurrent redemptions cannot overrun a budget.
+function createGasBudget() {
+  let day = utcDay();
+  let spent = new Map(); // "client:chainId" -> BigNumber
+  const reservations = new Map(); // jobId -> { key, amount, budget }
+
+  function rollOver() {
+    if (utcDay() !== day) {
+      day = utcDay();
+      spent = new Map();
+    }
+  }
+
+  function keyFor(client, chainId) {
+    return `${client}:${chainId}`;
+  }
+
+  function used(key) {
+    let total = spent.get(key) || ethers.constants.Zero;
+    for (const reservation of reservations.values()) {
+      if (reservation.key === key) total = total.add(reservation.amount);
+    }
+    return total;
+  }
+
+  // Reserve amount (wei) for a job, throwing GAS_BUDGET_EXCEEDED when it would pass budget (wei).
+  // Without a budget nothing is reserved.
+  function reserve(jobId, { client, chainId, amount, budget }) {
+    rollOver();
+    if (!budget) return;
+    const key = keyFor(client, chainId);
+    if (used(key).add(amount).gt(budget)) {
+      throw gasBudgetExceeded('The daily gas budget for this client is used up on this chain, please try again tomorrow');
+    }
+    reservations.set(jobId, { key, amount: ethers.BigNumber.from(amount), budget });
+  }
+
+  // Raise a job's reservation to amount (wei), e.g. before resending its transaction with higher
+  // fees; throws GAS_BUDGET_EXCEEDED when the difference would pass the budget. Jobs without a
+  // reservation (no budget) are not limited.
+  function raise(jobId, amount) {
+    rollOver();
+    const reservation = reservations.get(jobId);
+    if (!reservation || reservation.amount.gte(amount)) return;
+    if (used(reservation.key).sub(reservation.amount).add(amount).gt(reservation.budget)) {
+      throw gasBudgetExceeded('The daily gas budget for this client is used up on this chain');
+    }
+    reservation.amount = ethers.BigNumber.from(amount);
+  }
+
+  // Record gas actually spent (wei, or null when nothing was spent) and drop the job's reservation
+  function settle(jobId, { client, chainId, amount }) {
+    rollOver();
+    reservations.delete(jobId);
+    if (!amount) return;
+    const key = keyFor(client, chainId);
+    spent.set(key, (spent.get(key) || ethers.constants.Zero).add(amount));
+  }
+
+  // Gas spent today (wei) by client on chainId, including reservations
+  function spentToday(client, chainId) {
+    rollOver();
+    return used(keyFor(client, chainId));
+  }
+
+  return { reserve, raise, settle, spentToday };
+}
+
+module.exports = {
+  utcDay,
+  createRateLimiter,
+  createGasBudget
+};
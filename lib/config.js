@@ -0,0 +1,100 @@
+const { loadChainRegistry } = require('./chain-registry');
+const { gasCapsFromEnv } = require('./gas-fees');
+const { treasuryThresholdsFromEnv } = require('./treasury-monitor');
+const { webhookSubscriptionsFromEnv } = require('./webhooks');
+const { createLogger } = require('./logger');
+
+// Unset variables stay undefined so createRedeemRouter's defaults apply
+function integer(value) {
+  return value === undefined || value === '' ? undefined : parseInt(value, 10);
+}
+
+function number(value) {
+  return value === undefined || value === '' ? undefined : parseFloat(value);
+}
+
+function list(value) {
+  return value === undefined ? undefined : value.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+// createApp/createRedeemRouter options from environment variables (see README). Throws when
+// the chain registry, webhook config or log settings cannot be used; everything else is
+// validated by the router.
+function configFromEnv(env = process.env) {
+  // Enabled chains, from the built-in defaults, CHAINS_CONFIG and per-chain environment overrides
+  // (RPC URLs come from RPC_URLS_<chainId>, the config file or ALCHEMY_KEY)
+  const chains = loadChainRegistry({ env });
+
+  return {
+    port: integer(env.PORT) || 3000,
+    // Express "trust proxy" setting, needed for per-IP limits behind a reverse proxy (e.g. "1" or "loopback")
+    trustProxy: /^\d+$/.test(env.TRUST_PROXY || '') ? parseInt(env.TRUST_PROXY, 10) : env.TRUST_PROXY,
+    chains,
+    partnerAddress: env.PARTNER_ADDRESS,
+    signer: env.SERVICE_PRIVATE_KEY,
+    // Ordered list of card data sources, e.g. "contract,api" or "api,contract"
+    cardSources: list(env.CARD_SOURCES),
+    univoucherApiUrl: env.UNIVOUCHER_API_URL,
+    // Partner fee policy: deployment default plus "key:on|off" overrides per chain ID and per client
+    partnerFees: env.PARTNER_FEES,
+    partnerFeesChains: env.PARTNER_FEES_CHAINS,
+    partnerFeesClients: env.PARTNER_FEES_CLIENTS,
+    // Blocks to wait for before a redemption is reported as confirmed, at least (chains may need more)
+    redeemConfirmations: integer(env.REDEEM_CONFIRMATIONS),
+    // Submitted transactions: how often they are checked, after how long a pending one is sped up
+    // with higher fees (and how many times), and when to give up waiting
+    txPollIntervalSeconds: number(env.TX_POLL_INTERVAL_SECONDS),
+    txStuckAfterSeconds: integer(env.TX_STUCK_AFTER_SECONDS),
+    txMaxReplacements: integer(env.TX_MAX_REPLACEMENTS),
+    txTimeoutMinutes: integer(env.TX_TIMEOUT_MINUTES),
+    // Maximum number of cards in one batch redemption
+    batchMaxCards: integer(env.BATCH_MAX_CARDS),
+    // Largest accepted JSON request body (bytes, or a size such as "100kb")
+    jsonBodyLimit: env.JSON_BODY_LIMIT,
+    // Card secret decryption: concurrent PBKDF2 derivations and how many may wait for a slot
+    decryptConcurrency: integer(env.DECRYPT_CONCURRENCY),
+    decryptMaxQueue: integer(env.DECRYPT_MAX_QUEUE),
+    // Failed secret attempts allowed per IP and per card within the window before a lockout
+    secretMaxAttemptsPerIp: integer(env.SECRET_MAX_ATTEMPTS_PER_IP),
+    secretMaxAttemptsPerCard: integer(env.SECRET_MAX_ATTEMPTS_PER_CARD),
+    secretAttemptWindowMinutes: integer(env.SECRET_ATTEMPT_WINDOW_MINUTES),
+    secretLockoutMinutes: integer(env.SECRET_LOCKOUT_MINUTES),
+    // Gas: limit buffer over estimateGas, the largest share of a native-token card's value
+    // the service pays in gas, and per-chain caps from GAS_MAX_FEE_GWEI_<chainId> etc.
+    gasLimitBufferPercent: integer(env.GAS_LIMIT_BUFFER_PERCENT),
+    gasMaxCostCardRatio: number(env.GAS_MAX_COST_CARD_RATIO),
+    gasCaps: gasCapsFromEnv(env, Object.keys(chains)),
+    // Bearer token for the /api/admin endpoints (admin API is disabled without it)
+    adminToken: env.ADMIN_TOKEN,
+    // Service wallet balance checks; thresholds per chain come from TREASURY_LOW_BALANCE_<chainId> etc.
+    treasuryThresholds: treasuryThresholdsFromEnv(env, chains),
+    treasuryCheckIntervalSeconds: integer(env.TREASURY_CHECK_INTERVAL_SECONDS),
+    treasuryAlertWebhookUrl: env.TREASURY_ALERT_WEBHOOK_URL,
+    // Append-only redemption ledger (JSON Lines)
+    ledgerFile: env.LEDGER_FILE,
+    // Webhook subscriptions (WEBHOOK_URL etc.) and undeliverable events (JSON Lines)
+    webhookSubscriptions: webhookSubscriptionsFromEnv(env),
+    webhookDeadLetterFile: env.WEBHOOK_DEAD_LETTER_FILE,
+    webhookMaxAttempts: integer(env.WEBHOOK_MAX_ATTEMPTS),
+    // API authentication: "required" (API keys, or a web session for the bundled app) or "off"
+    apiAuth: env.API_AUTH,
+    // API keys issued with `npm run api-keys`
+    apiKeysFile: env.API_KEYS_FILE,
+    // Web app sessions: signing secret (random per start when unset), requests per minute per IP,
+    // and daily gas budgets as "chainId:amount" in native units
+    webSessionSecret: env.WEB_SESSION_SECRET,
+    webRateLimitPerMinute: integer(env.WEB_RATE_LIMIT_PER_MINUTE),
+    webDailyGasBudget: env.WEB_DAILY_GAS_BUDGET,
+    // Non-custodial (browser-side) redemption: off, optional (users opt in) or required
+    // (the server refuses card secrets and only relays signatures)
+    nonCustodial: env.NON_CUSTODIAL,
+    // Bearer token for /metrics (open without it)
+    metricsToken: env.METRICS_TOKEN,
+    // Logs: "json" lines (default) or "text", at LOG_LEVEL debug, info (default), warn or error
+    logger: createLogger({ format: env.LOG_FORMAT || undefined, level: env.LOG_LEVEL || undefined })
+  };
+}
+
+module.exports = {
+  configFromEnv
+};
@@ -0,0 +1,170 @@
+const { ethers } = require('ethers');
+
+// Every error code the API returns, with its HTTP status and default user-facing message.
+// Codes are stable; clients should branch on them rather than on messages.
+const ERROR_CODES = {
+  INVALID_REQUEST: { status: 400, message: 'Invalid request' },
+  UNAUTHORIZED: { status: 401, message: 'API key required' },
+  FORBIDDEN: { status: 403, message: 'This request is not allowed' },
+  NOT_FOUND: { status: 404, message: 'Not found' },
+  CARD_NOT_FOUND: { status: 404, message: 'Card not found' },
+  CARD_INACTIVE: { status: 409, message: 'Card has already been redeemed or cancelled' },
+  INVALID_SECRET: { status: 400, message: 'Invalid card secret' },
+  INVALID_SIGNATURE: { status: 400, message: 'Invalid redemption signature' },
+  INVALID_RECIPIENT: { status: 400, message: 'Invalid recipient address' },
+  RECIPIENT_BLOCKED: { status: 422, message: 'Funds sent to this recipient would be lost' },
+  WARNINGS_NOT_ACKNOWLEDGED: { status: 409, message: 'The recipient has warnings to confirm before redeeming' },
+  NAME_NOT_FOUND: { status: 400, message: 'The name does not resolve to an address' },
+  NAME_RESOLUTION_FAILED: { status: 502, message: 'Could not reach the name service, please try again shortly' },
+  CHAIN_UNSUPPORTED: { status: 400, message: 'Cards on this network are not supported by this server' },
+  CHAIN_NOT_ALLOWED: { status: 403, message: 'This API key cannot redeem cards on this network' },
+  CHAIN_UNAVAILABLE: { status: 503, message: 'Redemptions on this network are temporarily unavailable, please try again later' },
+  TOO_MANY_ATTEMPTS: { status: 429, message: 'Too many failed attempts, please try again later' },
+  RATE_LIMITED: { status: 429, message: 'Rate limit exceeded, please slow down' },
+  REDEMPTION_IN_PROGRESS: { status: 409, message: 'A redemption for this card is already in progress' },
+  IDEMPOTENCY_KEY_REUSED: { status: 422, message: 'Idempotency-Key was already used for a different redemption' },
+  DECRYPT_BUSY: { status: 503, message: 'Server is busy verifying card secrets, please try again shortly' },
+  GAS_TOO_EXPENSIVE: { status: 503, message: 'Gas is too expensive on this network right now, please try again later' },
+  GAS_BUDGET_EXCEEDED: { status: 429, message: 'The daily gas budget for this client is used up on this network' },
+  SERVICE_WALLET_EMPTY: { status: 503, message: 'The service cannot pay for gas on this network right now, please try again later' },
+  RPC_UNAVAILABLE: { status: 502, message: 'The network could not be reached, please try again shortly' },
+  NONCE_CONFLICT: { status: 503, message: 'The network rejected the transaction, please try again' },
+  CONTRACT_REVERTED: { status: 422, message: 'The UniVoucher contract rejected the redemption' },
+  TRANSACTION_FAILED: { status: 502, message: 'The redemption transaction failed on chain' },
+  TRANSACTION_DROPPED: { status: 502, message: 'The redemption transaction was dropped by the network, please try again' },
+  INTERNAL_ERROR: { status: 500, message: 'Something went wrong, please try again' }
+};
+
+// Revert strings (require messages) by meaning. The UniVoucher ABI declares no custom errors,
+// so other reverts are reported by their selector as CONTRACT_REVERTED.
+const REVERT_REASONS = [
+  [/not active|redeemed|cancel/i, 'CARD_INACTIVE'],
+  [/does not exist|not found|invalid card/i, 'CARD_NOT_FOUND'],
+  [/signature|signer/i, 'INVALID_SIGNATURE'],
+  [/recipient|zero address|invalid address/i, 'INVALID_RECIPIENT']
+];
+
+// ethers error codes of requests that did not get an answer from the node
+const RPC_FAILURES = [ethers.errors.NETWORK_ERROR, ethers.errors.SERVER_ERROR, ethers.errors.TIMEOUT];
+
+const ERROR_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+function codedError(code, message = ERROR_CODES[code].message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Decode revert data into { reason, code } (code is null for reverts we cannot classify)
+function decodeRevert(data) {
+  if (!ethers.utils.isHexString(data) || data.length < 10) return null;
+  const selector = data.slice(0, 10).toLowerCase();
+
+  try {
+    if (selector === ERROR_SELECTOR) {
+      const [reason] = ethers.utils.defaultAbiCoder.decode(['string'], `0x${data.slice(10)}`);
+      const match = REVERT_REASONS.find(([pattern]) => pattern.test(reason));
+      return { reason, code: match ? match[1] : null };
+    }
+    if (selector === PANIC_SELECTOR) {
+      const [panicCode] = ethers.utils.defaultAbiCoder.decode(['uint256'], `0x${data.slice(10)}`);
+      return { reason: `Panic(0x${panicCode.toHexString().slice(2)})`, code: null };
+    }
+  } catch (error) {
+    // Malformed revert data
+  }
+  return { reason: `Unknown error ${selector}`, code: null };
+}
+
+// Revert data in an ethers error; providers nest the JSON-RPC error at different depths
+function findRevertData(error, depth = 0) {
+  if (!error || typeof error !== 'object' || depth > 4) return null;
+  if (error.revertData) return error.revertData;
+  if (typeof error.data === 'string' && /^0x[0-9a-f]{8}/i.test(error.data)) return error.data;
+  if (error.data && typeof error.data.data === 'string') return error.data.data;
+  if (typeof error.body === 'string') {
+    try {
+      const found = findRevertData(JSON.parse(error.body).error, depth + 1);
+      if (found) return found;
+    } catch (parseError) {
+      // Not JSON
+    }
+  }
+  return findRevertData(error.error, depth + 1);
+}
+
+// Classify any error into { code, status, message, reason }. Our own coded errors keep their
+// message; contract reverts are decoded; ethers failure codes map to their cause; anything
+// else is INTERNAL_ERROR with fallbackMessage.
+function classifyError(error, fallbackMessage = ERROR_CODES.INTERNAL_ERROR.message) {
+  const result = (code, message = ERROR_CODES[code].message, reason = null) => ({
+    code,
+    status: ERROR_CODES[code].status,
+    // Undecoded reverts are only useful with their reason
+    message: reason && ['CONTRACT_REVERTED', 'TRANSACTION_FAILED'].includes(code) ? `${message} (${reason})` : message,
+    reason
+  });
+
+  if (!error) return result('INTERNAL_ERROR', fallbackMessage);
+  if (ERROR_CODES[error.code]) return result(error.code, error.message);
+
+  const revert = decodeRevert(findRevertData(error));
+  if (revert) return result(revert.code || 'CONTRACT_REVERTED', undefined, revert.reason);
+
+  // Some providers only report the revert string, as the error reason or in the message
+  const revertMessage = /execution reverted:? ?(.*)/i.exec(error.message || '');
+  const isRevert = error.code === ethers.errors.UNPREDICTABLE_GAS_LIMIT || error.code === ethers.errors.CALL_EXCEPTION;
+  // ethers reports a failed eth_call as a revert without data; the cause is nested
+  if (isRevert && !revertMessage && error.error && RPC_FAILURES.includes(error.error.code)) {
+    return result('RPC_UNAVAILABLE');
+  }
+  if (isRevert || revertMessage) {
+    const revertString = (revertMessage && revertMessage[1]) || (isRevert && error.reason) || null;
+    const match = revertString && REVERT_REASONS.find(([pattern]) => pattern.test(revertString));
+    if (match) return result(match[1], undefined, revertString);
+    // A mined transaction that reverted without a decodable reason
+    if (error.receipt) return result('TRANSACTION_FAILED', undefined, revertString);
+    return result('CONTRACT_REVERTED', undefined, revertString);
+  }
+
+  if (RPC_FAILURES.includes(error.code)) return result('RPC_UNAVAILABLE');
+
+  switch (error.code) {
+    case ethers.errors.INSUFFICIENT_FUNDS:
+      return result('SERVICE_WALLET_EMPTY');
+    case ethers.errors.NONCE_EXPIRED:
+    case ethers.errors.REPLACEMENT_UNDERPRICED:
+      return result('NONCE_CONFLICT');
+    case ethers.errors.TRANSACTION_REPLACED:
+      return result('TRANSACTION_FAILED', undefined, `transaction ${error.reason}`);
+    default:
+      if (/insufficient funds/i.test(error.message || '')) return result('SERVICE_WALLET_EMPTY');
+      return result('INTERNAL_ERROR', fallbackMessage);
+  }
+}
+
+// Revert data of a mined transaction that failed, found by replaying it at its block
+async function replayRevertData(provider, tx, blockNumber) {
+  try {
+    await provider.call({ from: tx.from, to: tx.to, data: tx.data, value: tx.value, gasLimit: tx.gasLimit }, blockNumber);
+    return null;
+  } catch (error) {
+    return findRevertData(error);
+  }
+}
+
+// Answer a request with the HTTP status and { error, code } of an error
+function sendError(res, error, fallbackMessage) {
+  const { status, code, message } = classifyError(error, fallbackMessage);
+  res.status(status).json({ error: message, code });
+}
+
+module.exports = {
+  ERROR_CODES,
+  codedError,
+  decodeRevert,
+  classifyError,
+  replayRevertData,
+  sendError
+};
@@ -0,0 +1,75 @@
+const { ethers } = require('ethers');
+
+// Partner fee rate applied by the UniVoucher contract when a partner address is passed to redeemCard
+const PARTNER_FEE_BPS = 100;
+
+// Parse "on"/"off" style flags
+function parseToggle(value, name) {
+  const normalized = String(value).trim().toLowerCase();
+  if (['on', 'true', '1', 'yes'].includes(normalized)) return true;
+  if (['off', 'false', '0', 'no'].includes(normalized)) return false;
+  throw new Error(`Invalid value "${value}" for ${name} (expected on or off)`);
+}
+
+// Parse "key:on,key:off" override lists
+function parseOverrides(value, name) {
+  const overrides = {};
+  if (!value) return overrides;
+
+  for (const entry of value.split(',').map(s => s.trim()).filter(Boolean)) {
+    const [key, toggle] = entry.split(':').map(s => s.trim());
+    if (!key || toggle === undefined) {
+      throw new Error(`Invalid entry "${entry}" in ${name} (expected key:on or key:off)`);
+    }
+    overrides[key] = parseToggle(toggle, name);
+  }
+  return overrides;
+}
+
+// Build the fee policy from environment-style settings.
+// Client overrides take precedence over chain overrides, which take precedence over the deployment default.
+function createFeePolicy({ partnerAddress, enabled = 'off', chains = '', clients = '' }) {
+  const defaultEnabled = parseToggle(enabled, 'PARTNER_FEES');
+  const chainOverrides = parseOverrides(chains, 'PARTNER_FEES_CHAINS');
+  const clientOverrides = parseOverrides(clients, 'PARTNER_FEES_CLIENTS');
+
+  const mayCharge = defaultEnabled ||
+    Object.values(chainOverrides).some(Boolean) ||
+    Object.values(clientOverrides).some(Boolean);
+
+  if (mayCharge && !ethers.utils.isAddress(partnerAddress || '')) {
+    throw new Error('PARTNER_ADDRESS must be a valid address when partner fees are enabled');
+  }
+
+  // Whether a redemption on chainId requested by client is charged the partner fee
+  function isEnabled(chainId, client) {
+    if (client && clientOverrides[client] !== undefined) return clientOverrides[client];
+    if (chainOverrides[chainId] !== undefined) return chainOverrides[chainId];
+    return defaultEnabled;
+  }
+
+  // Resolve the partner argument for redeemCard and the resulting amount split.
+  // A clientPartnerAddress (e.g. an API key's own partner address) is always charged, to that address.
+  function resolve({ chainId, client, tokenAmount, clientPartnerAddress = null }) {
+    const charged = Boolean(clientPartnerAddress) || isEnabled(String(chainId), client);
+    const payee = clientPartnerAddress || partnerAddress;
+    const grossAmount = ethers.BigNumber.from(tokenAmount);
+    const partnerFee = charged ? grossAmount.mul(PARTNER_FEE_BPS).div(10000) : ethers.constants.Zero;
+
+    return {
+      partnerAddress: charged ? ethers.utils.getAddress(payee) : null,
+      partnerArgument: charged ? ethers.utils.getAddress(payee) : ethers.constants.AddressZero,
+      partnerFeeBps: charged ? PARTNER_FEE_BPS : 0,
+      grossAmount,
+      partnerFee,
+      netAmount: grossAmount.sub(partnerFee)
+    };
+  }
+
+  return { mayCharge, isEnabled, resolve };
+}
+
+module.exports = {
+  PARTNER_FEE_BPS,
+  createFeePolicy
+};
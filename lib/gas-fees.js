@@ -0,0 +1,174 @@
+const { ethers } = require('ethers');
+
+// Blocks and reward percentile sampled from eth_feeHistory for the priority fee
+const FEE_HISTORY_BLOCKS = 10;
+const PRIORITY_FEE_PERCENTILE = 50;
+
+// Nodes only accept a replacement at the same nonce that pays at least 10% more
+const REPLACEMENT_BUMP_PERCENT = 12;
+
+// Error for redemptions the service refuses to sponsor at the current gas prices
+function gasTooExpensive(message) {
+  const error = new Error(message);
+  error.code = 'GAS_TOO_EXPENSIVE';
+  return error;
+}
+
+function parseGwei(value) {
+  return value ? ethers.utils.parseUnits(String(value), 'gwei') : null;
+}
+
+// Read per-chain caps from GAS_MAX_FEE_GWEI_<chainId>, GAS_MAX_PRIORITY_FEE_GWEI_<chainId>
+// and GAS_MAX_COST_<chainId> (in native units, e.g. 0.005)
+function gasCapsFromEnv(env, chainIds) {
+  const caps = {};
+  for (const chainId of chainIds) {
+    const maxCost = env[`GAS_MAX_COST_${chainId}`];
+    caps[chainId] = {
+      maxFeePerGas: parseGwei(env[`GAS_MAX_FEE_GWEI_${chainId}`]),
+      maxPriorityFeePerGas: parseGwei(env[`GAS_MAX_PRIORITY_FEE_GWEI_${chainId}`]),
+      maxGasCost: maxCost ? ethers.utils.parseEther(String(maxCost)) : null
+    };
+  }
+  return caps;
+}
+
+// Fee strategy for service wallet transactions. Chains flagged eip1559 in the chain
+// config get maxFeePerGas/maxPriorityFeePerGas from eth_feeHistory (falling back to
+// getFeeData); other chains, and EIP-1559 chains whose node does not report a base fee,
+// get a legacy gasPrice. Fee rates and total cost are checked against per-chain caps.
+function createFeeStrategy({ chains, caps = {}, maxCostCardRatio = null, gasLimitBufferPercent = 20 }) {
+  function capsFor(chainId) {
+    return caps[chainId] || {};
+  }
+
+  async function getLegacyFees(chainId, provider) {
+    const gasPrice = await provider.getGasPrice();
+    const { maxFeePerGas } = capsFor(chainId);
+    if (maxFeePerGas && gasPrice.gt(maxFeePerGas)) {
+      throw gasTooExpensive(`Gas prices on ${chains[chainId].name} are too high right now, please try again later`);
+    }
+    return { type: 0, gasPrice };
+  }
+
+  // Suggested base fee for the next block and priority fee from recent blocks
+  async function sampleFeeHistory(provider) {
+    const history = await provider.send('eth_feeHistory', [
+      ethers.utils.hexValue(FEE_HISTORY_BLOCKS),
+      'latest',
+      [PRIORITY_FEE_PERCENTILE]
+    ]);
+    const baseFees = history.baseFeePerGas.map(fee => ethers.BigNumber.from(fee));
+    const rewards = (history.reward || [])
+      .map(reward => ethers.BigNumber.from(reward[0]))
+      .sort((a, b) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0));
+    if (!rewards.length) throw new Error('Empty fee history');
+
+    return {
+      baseFee: baseFees[baseFees.length - 1],
+      priorityFee: rewards[Math.floor(rewards.length / 2)]
+    };
+  }
+
+  async function get1559Fees(chainId, provider) {
+    let baseFee;
+    let priorityFee;
+    try {
+      ({ baseFee, priorityFee } = await sampleFeeHistory(provider));
+    } catch (error) {
+      const feeData = await provider.getFeeData();
+      if (!feeData.lastBaseFeePerGas) return getLegacyFees(chainId, provider);
+      baseFee = feeData.lastBaseFeePerGas;
+      priorityFee = feeData.maxPriorityFeePerGas;
+    }
+
+    const { maxFeePerGas: feeCap, maxPriorityFeePerGas: priorityCap } = capsFor(chainId);
+    if (priorityCap && priorityFee.gt(priorityCap)) priorityFee = priorityCap;
+
+    // Leave room for the base fee to double before the transaction stops being includable
+    let maxFeePerGas = baseFee.mul(2).add(priorityFee);
+    if (feeCap && maxFeePerGas.gt(feeCap)) {
+      if (feeCap.lt(baseFee.add(priorityFee))) {
+        throw gasTooExpensive(`Gas prices on ${chains[chainId].name} are too high right now, please try again later`);
+      }
+      maxFeePerGas = feeCap;
+    }
+
+    return { type: 2, maxFeePerGas, maxPriorityFeePerGas: priorityFee };
+  }
+
+  // Fee fields for a transaction on chainId
+  async function getFees(chainId, provider) {
+    return chains[chainId].eip1559 ? get1559Fees(chainId, provider) : getLegacyFees(chainId, provider);
+  }
+
+  // Fees to replace a stuck transaction sent with fees: the current fees or the old ones
+  // bumped enough for nodes to accept the replacement, whichever is higher. Returns null when
+  // that would go over the chain's fee caps.
+  async function bumpFees(chainId, fees, provider) {
+    const bump = value => ethers.BigNumber.from(value).mul(100 + REPLACEMENT_BUMP_PERCENT).div(100);
+    const max = (a, b) => (a.gt(b) ? a : b);
+    let current;
+    try {
+      current = await getFees(chainId, provider);
+    } catch (error) {
+      if (error.code === 'GAS_TOO_EXPENSIVE') return null;
+      throw error;
+    }
+
+    const { maxFeePerGas: feeCap, maxPriorityFeePerGas: priorityCap } = capsFor(chainId);
+    if (fees.type === 2 && current.type === 2) {
+      const maxPriorityFeePerGas = max(current.maxPriorityFeePerGas, bump(fees.maxPriorityFeePerGas));
+      const maxFeePerGas = max(max(current.maxFeePerGas, bump(fees.maxFeePerGas)), maxPriorityFeePerGas);
+      if ((priorityCap && maxPriorityFeePerGas.gt(priorityCap)) || (feeCap && maxFeePerGas.gt(feeCap))) return null;
+      return { type: 2, maxFeePerGas, maxPriorityFeePerGas };
+    }
+
+    // A legacy replacement must beat both fee fields of a type 2 original
+    const oldPrice = fees.type === 2 ? fees.maxFeePerGas : fees.gasPrice;
+    const currentPrice = current.type === 2 ? current.maxFeePerGas : current.gasPrice;
+    const gasPrice = max(currentPrice, bump(oldPrice));
+    if (feeCap && gasPrice.gt(feeCap)) return null;
+    return { type: 0, gasPrice };
+  }
+
+  // Gas limit with the configured safety buffer
+  function bufferGasLimit(gasEstimate) {
+    return gasEstimate.mul(100 + gasLimitBufferPercent).div(100);
+  }
+
+  // Worst-case gas cost in native units (L1 data fees on rollups are not included)
+  function maxGasCost(gasLimit, fees) {
+    return gasLimit.mul(fees.type === 2 ? fees.maxFeePerGas : fees.gasPrice);
+  }
+
+  // Refuse redemptions whose gas would exceed the chain's cost cap or, for native-token
+  // cards, the configured fraction of the card's value
+  function checkGasCost({ chainId, gasLimit, fees, card }) {
+    const cost = maxGasCost(gasLimit, fees);
+    const chain = chains[chainId];
+    const { maxGasCost: costCap } = capsFor(chainId);
+
+    if (costCap && cost.gt(costCap)) {
+      throw gasTooExpensive(`Gas costs on ${chain.name} are too high right now, please try again later`);
+    }
+
+    const isNative = card.tokenAddress === ethers.constants.AddressZero;
+    if (maxCostCardRatio !== null && isNative) {
+      // Ratio in basis points to stay in integer math
+      const limit = ethers.BigNumber.from(card.tokenAmount).mul(Math.round(maxCostCardRatio * 10000)).div(10000);
+      if (cost.gt(limit)) {
+        throw gasTooExpensive(`Redeeming this card would cost more in ${chain.symbol} gas than we can sponsor for its value`);
+      }
+    }
+
+    return cost;
+  }
+
+  return { getFees, bumpFees, bufferGasLimit, maxGasCost, checkGasCost };
+}
+
+module.exports = {
+  gasCapsFromEnv,
+  createFeeStrategy
+};
@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+
+const MAX_KEY_LENGTH = 255;
+
+// Remembers the response to each Idempotency-Key so replays get the original result.
+// Keys are scoped per client and expire after ttlMs, which outlives redemption jobs: the final
+// job is stored with the key (see update) so late replays still get the outcome.
+function createIdempotencyStore({ ttlMs = 24 * 60 * 60 * 1000 } = {}) {
+  const entries = new Map();
+
+  function scopedKey(client, key) {
+    return `${client}:${key}`;
+  }
+
+  // Hash of the request fields that must match on replay
+  function fingerprint(fields) {
+    return crypto.createHash('sha256').update(JSON.stringify(fields)).digest('hex');
+  }
+
+  function isValidKey(key) {
+    return typeof key === 'string' && key.length > 0 && key.length <= MAX_KEY_LENGTH;
+  }
+
+  // Look up a previous response; mismatch is true when the key was used for a different request
+  function lookup(client, key, fields) {
+    const entry = entries.get(scopedKey(client, key));
+    if (!entry) return null;
+    if (entry.fingerprint !== fingerprint(fields)) return { mismatch: true };
+    return { mismatch: false, status: entry.status, body: entry.body };
+  }
+
+  function remember(client, key, fields, status, body) {
+    const id = scopedKey(client, key);
+    entries.set(id, { fingerprint: fingerprint(fields), status, body });
+    setTimeout(() => entries.delete(id), ttlMs).unref();
+  }
+
+  // Merge fields into a remembered response body
+  function update(client, key, fields) {
+    const entry = entries.get(scopedKey(client, key));
+    if (entry) entry.body = { ...entry.body, ...fields };
+  }
+
+  return { isValidKey, lookup, remember, update };
+}
+
+module.exports = {
+  MAX_KEY_LENGTH,
+  createIdempotencyStore
+};
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { ethers } = require('ethers');
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = [
+  'id', 'timestamp', 'outcome', 'cardId', 'chainId', 'tokenAddress', 'tokenAmount', 'amount',
+  'recipientAddress', 'txHash', 'gasUsed', 'effectiveGasPrice', 'gasCost',
+  'partnerAddress', 'partnerFee', 'client', 'error', 'errorCode'
+];
+
+// Quote cells that need it, and defuse cells a spreadsheet would run as a formula
+function csvEscape(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Append-only JSON Lines ledger of redemption attempts
+function createLedger({ file, logger = console }) {
+  let writes = Promise.resolve();
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  // Append one record; writes are serialized so lines never interleave
+  function append(record) {
+    const line = `${JSON.stringify({ timestamp: new Date().toISOString(), ...record })}\n`;
+    writes = writes
+      .then(() => fs.promises.appendFile(file, line))
+      .catch(error => logger.error('Failed to write ledger record:', error.message));
+    return writes;
+  }
+
+  function matches(record, { from, to, chainId, status }) {
+    if (from && record.timestamp < from) return false;
+    if (to && record.timestamp > to) return false;
+    if (chainId && String(record.chainId) !== String(chainId)) return false;
+    if (status && record.outcome !== status) return false;
+    return true;
+  }
+
+  // Records matching the filters (ISO from/to timestamps, chainId, status), oldest first
+  async function query(filters = {}) {
+    await writes;
+    if (!fs.existsSync(file)) return [];
+
+    const records = [];
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const record = JSON.parse(line);
+        if (matches(record, filters)) records.push(record);
+      } catch (error) {
+        // Skip a partially written line
+      }
+    }
+    return records;
+  }
+
+  function toCsv(records) {
+    const rows = records.map(record => CSV_COLUMNS.map(column => csvEscape(record[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+  }
+
+  // Gas spent per chain over the given records
+  function sumGasByChain(records) {
+    const totals = {};
+    for (const record of records) {
+      if (!record.gasCost) continue;
+      const key = String(record.chainId);
+      totals[key] = totals[key] || { chainId: record.chainId, transactions: 0, gasUsed: ethers.constants.Zero, gasCost: ethers.constants.Zero };
+      totals[key].transactions++;
+      totals[key].gasUsed = totals[key].gasUsed.add(record.gasUsed || 0);
+      totals[key].gasCost = totals[key].gasCost.add(record.gasCost);
+    }
+    return Object.values(totals);
+  }
+
+  return { append, query, toCsv, sumGasByChain };
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  createLedger
+};
@@ -0,0 +1,96 @@
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Field names whose values are never logged, in any case and with or without - and _
+// separators; anything ending in secret, private key or signature (e.g. card_secret) is included
+const SECRET_FIELDS = /^(raw|authorization|xapikey|xredeemsession|token|.*(secret|privatekey|signature))$/;
+
+function isSecretField(key) {
+  return SECRET_FIELDS.test(key.replace(/[-_]/g, '').toLowerCase());
+}
+
+// Card secrets (ABCDE-FGHIJ-KLMNO-PQRST, also all lowercase or undashed), private
+// keys (64 hex digits, bare or after a "private key" label) and hex of signature length or
+// longer: signatures themselves and the calldata and raw transactions they end up in, e.g. inside
+// RPC error messages. Addresses and 0x-prefixed hashes stay readable.
+const SECRET_PATTERNS = [
+  [/\b(?:[A-Z]{5}-?[A-Z]{5}-?[A-Z]{5}-?[A-Z]{5}|[a-z]{5}-?[a-z]{5}-?[a-z]{5}-?[a-z]{5})\b/g, '[card secret]'],
+  [/(private[-_\s]?key["'\s:=]*)(0x)?[0-9a-fA-F]{64}\b/gi, '$1[private key]'],
+  [/(?<![0-9a-fA-FxX])[0-9a-fA-F]{64}(?![0-9a-fA-F])/g, '[private key]'],
+  [/0x[0-9a-fA-F]{130,}/g, '0x[redacted]']
+];
+
+function redactText(text) {
+  return SECRET_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+// Copy of a value safe to log: secret fields dropped, secret-looking strings masked, errors
+// reduced to their message and code (ethers errors carry whole requests and transactions)
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactText(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth > 4) return '[object]';
+  if (value instanceof Error) {
+    return {
+      message: redactText(value.message || ''),
+      ...(value.code !== undefined && { code: value.code }),
+      ...(value.reason && { reason: redactText(String(value.reason)) })
+    };
+  }
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  const result = {};
+  for (const [key, field] of Object.entries(value)) {
+    if (isSecretField(key)) continue;
+    result[key] = typeof field === 'bigint' || (field && field._isBigNumber) ? field.toString() : redact(field, depth + 1);
+  }
+  return result;
+}
+
+// Logger with the console's call style: logger.error('Failed to do X:', error, { jobId }).
+// Strings are joined into msg, an Error becomes err, and plain objects are merged in as fields.
+// format "json" writes one JSON object per line; "text" writes readable lines for development.
+// Everything is redacted first. child(fields) adds fields (e.g. a request ID) to every line.
+function createLogger({ format = 'json', level = 'info', stream = process.stdout, errorStream = process.stderr, fields = {} } = {}) {
+  if (!LEVELS[level]) throw new Error('LOG_LEVEL must be debug, info, warn or error');
+  if (!['json', 'text'].includes(format)) throw new Error('LOG_FORMAT must be json or text');
+
+  function write(lineLevel, args) {
+    if (LEVELS[lineLevel] < LEVELS[level]) return;
+
+    const messages = [];
+    const entry = { ...fields };
+    for (const arg of args) {
+      if (arg instanceof Error) {
+        entry.err = arg;
+      } else if (arg && typeof arg === 'object') {
+        Object.assign(entry, arg);
+      } else {
+        messages.push(String(arg));
+      }
+    }
+    const safe = redact(entry);
+    const msg = redactText(messages.join(' '));
+    const out = LEVELS[lineLevel] >= LEVELS.warn ? errorStream : stream;
+
+    if (format === 'json') {
+      out.write(`${JSON.stringify({ time: new Date().toISOString(), level: lineLevel, msg, ...safe })}\n`);
+      return;
+    }
+    const { err, ...rest } = safe;
+    const extra = Object.entries(rest).map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    out.write(`${[msg, err && err.message, ...extra].filter(Boolean).join(' ')}\n`);
+  }
+
+  return {
+    debug: (...args) => write('debug', args),
+    info: (...args) => write('info', args),
+    warn: (...args) => write('warn', args),
+    error: (...args) => write('error', args),
+    child: childFields => createLogger({ format, level, stream, errorStream, fields: { ...fields, ...childFields } })
+  };
+}
+
+module.exports = {
+  createLogger,
+  redact
+};
@@ -0,0 +1,115 @@
+// Latency buckets in seconds, from a cached card lookup up to a slow confirmation
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(names, values, extra = '') {
+  const pairs = names.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Prometheus metrics in the text exposition format. Metrics are declared once with their
+// label names; samples are keyed by label values in declaration order. onCollect callbacks
+// run before each render, for gauges read from other modules' state.
+function createMetrics({ prefix = 'redeem_' } = {}) {
+  const metrics = [];
+  const collectors = [];
+
+  function declare(type, name, help, labelNames) {
+    const metric = { type, name: `${prefix}${name}`, help, labelNames, samples: new Map() };
+    metrics.push(metric);
+    return metric;
+  }
+
+  const keyOf = (metric, labels) => JSON.stringify(metric.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+
+  function counter(name, help, labelNames = []) {
+    const metric = declare('counter', name, help, labelNames);
+    return {
+      inc(labels = {}, value = 1) {
+        const key = keyOf(metric, labels);
+        metric.samples.set(key, (metric.samples.get(key) || 0) + value);
+      }
+    };
+  }
+
+  function gauge(name, help, labelNames = []) {
+    const metric = declare('gauge', name, help, labelNames);
+    return {
+      set(labels, value) {
+        metric.samples.set(keyOf(metric, labels), value);
+      }
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const metric = declare('histogram', name, help, labelNames);
+    metric.buckets = buckets;
+
+    function observe(labels, value) {
+      const key = keyOf(metric, labels);
+      if (!metric.samples.has(key)) {
+        metric.samples.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+      const sample = metric.samples.get(key);
+      buckets.forEach((bound, i) => {
+        if (value <= bound) sample.counts[i]++;
+      });
+      sample.sum += value;
+      sample.count++;
+    }
+
+    // Time an async operation; the outcome label (if declared) is "ok" or "error"
+    async function time(labels, fn) {
+      const startedAt = process.hrtime.bigint();
+      const elapsed = () => Number(process.hrtime.bigint() - startedAt) / 1e9;
+      try {
+        const result = await fn();
+        observe({ ...labels, outcome: 'ok' }, elapsed());
+        return result;
+      } catch (error) {
+        observe({ ...labels, outcome: 'error' }, elapsed());
+        throw error;
+      }
+    }
+
+    return { observe, time };
+  }
+
+  function onCollect(fn) {
+    collectors.push(fn);
+  }
+
+  // Text exposition of every metric
+  function render() {
+    collectors.forEach(fn => fn());
+
+    const lines = [];
+    for (const metric of metrics) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+      for (const [key, sample] of metric.samples) {
+        const values = JSON.parse(key);
+        if (metric.type !== 'histogram') {
+          lines.push(`${metric.name}${formatLabels(metric.labelNames, values)} ${sample}`);
+          continue;
+        }
+        metric.buckets.forEach((bound, i) => {
+          lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, values, `le="${bound}"`)} ${sample.counts[i]}`);
+        });
+        lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, values, 'le="+Inf"')} ${sample.count}`);
+        lines.push(`${metric.name}_sum${formatLabels(metric.labelNames, values)} ${sample.sum}`);
+        lines.push(`${metric.name}_count${formatLabels(metric.labelNames, values)} ${sample.count}`);
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  return { counter, gauge, histogram, onCollect, render };
+}
+
+module.exports = {
+  createMetrics
+};
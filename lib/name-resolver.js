@@ -0,0 +1,159 @@
+const { ethers } = require('ethers');
+const { parseAddress } = require('./recipient-checks');
+
+// Basenames registry on Base mainnet (ENS-compatible, names under base.eth)
+const BASENAME_REGISTRY = '0xB94704422c2a1E396835A571837Aa5AE53285a95';
+// Reverse records for Base addresses live under <address>.<ENSIP-11 coin type of Base>.reverse
+const BASE_REVERSE_SUFFIX = '80002105.reverse';
+
+const REGISTRY_ABI = ['function resolver(bytes32 node) view returns (address)'];
+const RESOLVER_ABI = [
+  'function addr(bytes32 node) view returns (address)',
+  'function name(bytes32 node) view returns (string)'
+];
+
+function resolutionError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Whether a recipient looks like a name ("alice.eth", "bob.base.eth") rather than an address
+function isName(value) {
+  return typeof value === 'string' && /^[^\s.]+(\.[^\s.]+)+$/.test(value.trim()) && !ethers.utils.isHexString(value.trim());
+}
+
+// Resolves ENS names on Ethereum and Basenames on Base, with reverse lookups for display.
+// Pass null for a chain the server has no provider for. Results are cached for cacheTtlMs,
+// at most maxCached of them; failed lookups are not cached.
+function createNameResolver({ getProvider, ensChainId = 1, baseChainId = 8453, cacheTtlMs = 5 * 60 * 1000, maxCached = 1000, logger = console }) {
+  const cache = new Map(); // "name:<name>" or "address:<address>" -> { value, expiresAt }
+
+  async function cached(key, lookup) {
+    const hit = cache.get(key);
+    if (hit && hit.expiresAt > Date.now()) return hit.value;
+    cache.delete(key);
+
+    const value = await lookup();
+    cache.set(key, { value, expiresAt: Date.now() + cacheTtlMs });
+    // Oldest first, so drop from the front
+    while (cache.size > maxCached) cache.delete(cache.keys().next().value);
+    return value;
+  }
+
+  // Resolver contract for a node in the Basenames registry, or null when none is set
+  async function basenameResolver(node) {
+    const provider = getProvider(baseChainId);
+    const registry = new ethers.Contract(BASENAME_REGISTRY, REGISTRY_ABI, provider);
+    const resolverAddress = await registry.resolver(node);
+    if (resolverAddress === ethers.constants.AddressZero) return null;
+    return new ethers.Contract(resolverAddress, RESOLVER_ABI, provider);
+  }
+
+  async function resolveBasename(name) {
+    if (!baseChainId) return null;
+    const node = ethers.utils.namehash(name);
+    const resolver = await basenameResolver(node);
+    if (!resolver) return null;
+    const address = await resolver.addr(node);
+    return address === ethers.constants.AddressZero ? null : address;
+  }
+
+  async function lookupBasename(address) {
+    if (!baseChainId) return null;
+    const node = ethers.utils.namehash(`${address.toLowerCase().slice(2)}.${BASE_REVERSE_SUFFIX}`);
+    const resolver = await basenameResolver(node);
+    if (!resolver) return null;
+    const name = await resolver.name(node);
+    // Only trust a reverse record whose name resolves back to the address
+    if (!name || (await resolveBasename(name)) !== address) return null;
+    return name;
+  }
+
+  // Address a name resolves to; throws NAME_NOT_FOUND or NAME_RESOLUTION_FAILED
+  async function resolveName(input) {
+    const name = input.trim().toLowerCase();
+    try {
+      ethers.utils.namehash(name);
+    } catch (error) {
+      throw resolutionError('INVALID_RECIPIENT', `"${input}" is not a valid name`);
+    }
+    if (!ensChainId && !(baseChainId && name.endsWith('.base.eth'))) {
+      throw resolutionError('NAME_RESOLUTION_FAILED', `${name} cannot be resolved on this server, please use a 0x address`);
+    }
+
+    const address = await cached(`name:${name}`, async () => {
+      let failure = null;
+
+      // Basenames are read straight from Base; ENS on Ethereum also covers them through CCIP-Read
+      if (name.endsWith('.base.eth')) {
+        try {
+          const basename = await resolveBasename(name);
+          if (basename) return basename;
+        } catch (error) {
+          failure = error;
+        }
+      }
+
+      if (!ensChainId) {
+        if (failure) throw failure;
+        return null;
+      }
+
+      let address;
+      try {
+        address = await getProvider(ensChainId).resolveName(name);
+      } catch (error) {
+        throw failure || error;
+      }
+      // Don't report a Basename as missing just because Base could not be reached
+      if (!address && failure) throw failure;
+      return address;
+    }).catch(error => {
+      logger.error(`Failed to resolve ${name}:`, error.message);
+      throw resolutionError('NAME_RESOLUTION_FAILED', `Could not resolve ${name} right now, please try again or use a 0x address`);
+    });
+
+    if (!address) {
+      throw resolutionError('NAME_NOT_FOUND', `${name} does not resolve to an address`);
+    }
+    return { name, address: ethers.utils.getAddress(address) };
+  }
+
+  // Primary name of an address (Basename first, then ENS), or null. Never throws.
+  async function lookupAddress(address) {
+    try {
+      return await cached(`address:${address}`, async () => {
+        const basename = await lookupBasename(address).catch(() => null);
+        if (basename || !ensChainId) return basename;
+        return getProvider(ensChainId).lookupAddress(address);
+      });
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Resolve a recipient given as an address or a name to { address, name, reverseName }:
+  // name is the name that was entered (if any), reverseName the address's primary name, looked
+  // up only with withReverseName since it is just for display (null otherwise).
+  // Mixed-case addresses must carry a valid checksum.
+  async function resolveRecipient(recipient, { withReverseName = false } = {}) {
+    const reverseNameOf = address => (withReverseName ? lookupAddress(address) : null);
+    const address = parseAddress(recipient);
+    if (address) {
+      return { address, name: null, reverseName: await reverseNameOf(address) };
+    }
+    if (!isName(recipient)) {
+      throw resolutionError('INVALID_RECIPIENT', 'Invalid recipient address');
+    }
+    const resolved = await resolveName(recipient);
+    return { address: resolved.address, name: resolved.name, reverseName: await reverseNameOf(resolved.address) };
+  }
+
+  return { resolveRecipient, resolveName, lookupAddress };
+}
+
+module.exports = {
+  isName,
+  createNameResolver
+};
@@ -0,0 +1,92 @@
+const { ethers } = require('ethers');
+const { codedError } = require('./error-codes');
+
+// Addresses tokens are sent to in order to destroy them
+const BURN_ADDRESSES = [ethers.constants.AddressZero, '0x000000000000000000000000000000000000dEaD'];
+
+// Code of an EIP-7702 account: a key-controlled account delegating to contract code
+const DELEGATION_PREFIX = '0xef0100';
+
+// A 0x address as entered, checksummed; null when value is not a 0x address at all.
+// Mixed-case input carries an EIP-55 checksum, and one that does not match is almost always a
+// typo in the address, so it is rejected rather than corrected. All-lowercase and all-uppercase
+// input has no checksum to check.
+function parseAddress(value) {
+  const input = typeof value === 'string' ? value.trim() : '';
+  if (!/^0x[0-9a-fA-F]{40}$/.test(input)) return null;
+  try {
+    return ethers.utils.getAddress(input);
+  } catch (error) {
+    throw codedError('INVALID_RECIPIENT', 'The address checksum does not match, check the address for typos');
+  }
+}
+
+// Safety checks on a resolved recipient before a card's funds are sent to it. Sinks (burn
+// addresses, the UniVoucher contract, the service wallet and the card's own token contract)
+// are rejected with RECIPIENT_BLOCKED: funds sent there are lost, or the redemption reverts
+// after the service has paid gas. Contract recipients are allowed (multisigs and smart wallets
+// are common) but come back as warnings for the user to acknowledge.
+function createRecipientChecker({ chains, getProvider, getServiceAddress, logger = console }) {
+  const same = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+  // Why funds sent to address would be lost, or null. Without a chainId every chain's
+  // UniVoucher contract counts; the token contract is only known with the card.
+  function sinkReason(address, { chainId = null, tokenAddress = null } = {}) {
+    const chainIds = chainId ? [chainId] : Object.keys(chains);
+
+    if (BURN_ADDRESSES.some(burn => same(burn, address))) {
+      return 'This is a burn address; funds sent to it are lost';
+    }
+    if (chainIds.some(id => same(chains[id].univoucherAddress, address))) {
+      return 'This is the UniVoucher contract; it cannot receive redeemed funds';
+    }
+    if (chainIds.some(id => same(getServiceAddress(id), address))) {
+      return 'This is the Redeem Base service wallet; send the funds to your own address';
+    }
+    if (tokenAddress && tokenAddress !== ethers.constants.AddressZero && same(tokenAddress, address)) {
+      return 'This is the contract of the card\'s token; tokens sent to it are lost';
+    }
+    return null;
+  }
+
+  // Reject sinks; the card (chainId and tokenAddress) is optional
+  function checkSink(address, card = {}) {
+    const reason = sinkReason(address, card);
+    if (reason) throw codedError('RECIPIENT_BLOCKED', reason);
+  }
+
+  // Check a recipient for a card: throws RECIPIENT_BLOCKED for sinks, otherwise resolves to
+  // a list of { code, message } warnings (empty when the recipient is an ordinary account).
+  // A failed code lookup is logged and gives no warnings; the redemption itself reports RPC trouble.
+  async function check(address, { chainId, tokenAddress }) {
+    checkSink(address, { chainId, tokenAddress });
+
+    let code;
+    try {
+      code = await getProvider(chainId).getCode(address);
+    } catch (error) {
+      logger.warn(`Could not check whether ${address} is a contract on chain ${chainId}:`, error.message);
+      return [];
+    }
+    if (code === '0x' || code.startsWith(DELEGATION_PREFIX)) return [];
+
+    const chain = chains[chainId];
+    if (!tokenAddress || tokenAddress === ethers.constants.AddressZero) {
+      return [{
+        code: 'NATIVE_TO_CONTRACT',
+        message: `The recipient is a contract on ${chain.name}. This card pays out ${chain.symbol}, which many contracts cannot accept: the redemption may fail or the funds may be stuck.`
+      }];
+    }
+    return [{
+      code: 'CONTRACT_RECIPIENT',
+      message: `The recipient is a contract on ${chain.name}, not a personal wallet. Make sure it can hold and move these tokens (such as a multisig or smart wallet you control), or the funds may be lost.`
+    }];
+  }
+
+  return { check, checkSink };
+}
+
+module.exports = {
+  parseAddress,
+  createRecipientChecker
+};
@@ -0,0 +1,961 @@
+const { ethers } = require('ethers');
+const path = require('path');
+const {
+  DEFAULT_API_URL,
+  createApiCardSource,
+  createContractCardSource,
+  createCardFetcher
+} = require('./card-sources');
+const { createFeePolicy } = require('./fee-policy');
+const { createJobStore } = require('./redemption-jobs');
+const { createTransactionSender } = require('./tx-sender');
+const { createTransactionTracker } = require('./tx-tracker');
+const { createCardDecryptor } = require('./card-decryption');
+const { createAttemptLimiter } = require('./attempt-limiter');
+const { createFeeStrategy } = require('./gas-fees');
+const { treasuryThresholdsFromEnv, createTreasuryMonitor } = require('./treasury-monitor');
+const { createLedger } = require('./ledger');
+const { createNameResolver } = require('./name-resolver');
+const { createRecipientChecker } = require('./recipient-checks');
+const { createMetrics } = require('./metrics');
+const { createWebhookDispatcher } = require('./webhooks');
+const { parseGasBudget, createApiKeyStore } = require('./api-keys');
+const { utcDay, createGasBudget } = require('./client-quotas');
+const { validateChains, createProviderFactory, explorerTxUrl } = require('./chain-registry');
+const { codedError, classifyError, replayRevertData } = require('./error-codes');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+// Failure codes that point at a fault of the service or its nodes rather than at the card or
+// request; failed redemptions with these are logged as errors
+const SERVICE_FAULT_CODES = ['INTERNAL_ERROR', 'CONTRACT_REVERTED', 'TRANSACTION_FAILED', 'RPC_UNAVAILABLE', 'NONCE_CONFLICT'];
+
+// Everything a redemption needs apart from HTTP: cards, secrets, fees, gas, the service wallet,
+// jobs, the ledger and webhooks. The API router and the CLI are both built on it. Chains, the
+// signer, providers, the card source and the logger are injected, so it runs against any chain,
+// e.g. a local Anvil node with a mock UniVoucher contract. Options mirror the environment
+// variables in the README; configFromEnv() builds them from process.env. Throws when the options
+// cannot work.
+function createRedeemCore({
+  chains,
+  signer,
+  partnerAddress,
+  getProvider,
+  fetchCard,
+  cardSources = ['contract', 'api'],
+  univoucherApiUrl = DEFAULT_API_URL,
+  partnerFees = 'off',
+  partnerFeesChains = '',
+  partnerFeesClients = '',
+  redeemConfirmations = 1,
+  txPollIntervalSeconds = 4,
+  txStuckAfterSeconds = 120,
+  txMaxReplacements = 3,
+  txTimeoutMinutes = 30,
+  decryptConcurrency = 2,
+  decryptMaxQueue = 50,
+  secretMaxAttemptsPerIp = 10,
+  secretMaxAttemptsPerCard = 5,
+  secretAttemptWindowMinutes = 15,
+  secretLockoutMinutes = 15,
+  gasLimitBufferPercent = 20,
+  gasMaxCostCardRatio = 1,
+  gasCaps = {},
+  treasuryThresholds,
+  treasuryCheckIntervalSeconds = 300,
+  treasuryAlertWebhookUrl,
+  ledgerFile = path.join(DATA_DIR, 'redemptions.jsonl'),
+  webhookSubscriptions = [],
+  webhookDeadLetterFile = path.join(DATA_DIR, 'webhook-dead-letters.jsonl'),
+  webhookMaxAttempts = 8,
+  apiAuth = 'required',
+  apiKeysFile = path.join(DATA_DIR, 'api-keys.json'),
+  webDailyGasBudget = '',
+  metrics = createMetrics(),
+  logger = console
+} = {}) {
+  const problems = chains ? validateChains(chains, { requireRpcUrls: !getProvider }) : ['chains is required'];
+  if (!partnerAddress) problems.push('PARTNER_ADDRESS (partnerAddress) is required');
+  if (!signer) problems.push('SERVICE_PRIVATE_KEY (signer) is required');
+  if (!['off', 'required'].includes(apiAuth)) problems.push('API_AUTH must be off or required');
+  if (problems.length) throw new Error(problems.join('\n'));
+
+  // A private key is turned into a wallet; any ethers Signer that can connect() to a provider works
+  if (typeof signer === 'string') signer = new ethers.Wallet(signer);
+  if (!getProvider) getProvider = createProviderFactory(chains);
+  if (!treasuryThresholds) treasuryThresholds = treasuryThresholdsFromEnv({}, chains);
+
+  // The web app's daily gas budget: WEB_DAILY_GAS_BUDGET where set, else each chain's default
+  let webGasBudget;
+  try {
+    webGasBudget = parseGasBudget(webDailyGasBudget);
+  } catch (error) {
+    throw new Error(`WEB_DAILY_GAS_BUDGET: ${error.message}`);
+  }
+  for (const [chainId, chain] of Object.entries(chains)) {
+    if (chain.webGasBudget === undefined) continue;
+    webGasBudget = { [chainId]: String(chain.webGasBudget), ...webGasBudget };
+  }
+
+  const feePolicy = createFeePolicy({
+    partnerAddress,
+    enabled: partnerFees,
+    chains: partnerFeesChains,
+    clients: partnerFeesClients
+  });
+
+  // Prometheus metrics (served at /metrics by the router); chain labels are chain IDs
+  const cardLookups = metrics.counter('card_lookups_total', 'Card lookups by result (found, not_found, error)', ['result']);
+  const secretVerifications = metrics.counter('secret_verifications_total', 'Card secret checks by result (valid, invalid)', ['result']);
+  const redemptionsTotal = metrics.counter('redemptions_total', 'Finished redemptions by chain, outcome and error code', ['chain', 'outcome', 'code']);
+  const gasSpent = metrics.counter('gas_spent_total', 'Gas paid by the service wallet for redemptions, in native units', ['chain', 'symbol']);
+  const stageDuration = metrics.histogram('stage_duration_seconds', 'Latency of card_fetch, decrypt, estimate_gas and confirmation', ['stage', 'outcome']);
+  const walletBalance = metrics.gauge('service_wallet_balance', 'Service wallet balance at the last treasury check, in native units', ['chain', 'symbol']);
+
+  // UniVoucher contract ABI (the contract address is configured per chain)
+  const UNIVOUCHER_ABI = [
+    "function getCardData(string memory cardId) external view returns (bool active, address tokenAddress, uint256 tokenAmount, uint256 feePaid, address creator, string memory message, string memory encryptedPrivateKey, address slotId, uint256 timestamp, address redeemedBy, address cancelledBy, address partnerAddress, uint256 finalizedTimestamp)",
+    "function redeemCard(string memory cardId, address payable to, bytes memory signature, address payable partner) external",
+    "function isCardActive(string memory cardId) external view returns (bool)"
+  ];
+  const univoucher = new ethers.utils.Interface(UNIVOUCHER_ABI);
+
+  // API keys and per-client gas budgets
+  const apiKeys = createApiKeyStore({ file: apiKeysFile });
+  const gasBudget = createGasBudget();
+
+  // Card secret decryption runs off the event loop through a bounded queue
+  const cardDecryptor = createCardDecryptor({
+    concurrency: decryptConcurrency,
+    maxQueue: decryptMaxQueue
+  });
+  const decryptPrivateKey = (encryptedPrivateKey, cardSecret) =>
+    stageDuration.time({ stage: 'decrypt' }, () => cardDecryptor.decryptPrivateKey(encryptedPrivateKey, cardSecret));
+
+  // Brute-force protection for card secrets
+  const secretAttemptsByIp = createAttemptLimiter({
+    maxAttempts: secretMaxAttemptsPerIp,
+    windowMs: secretAttemptWindowMinutes * 60 * 1000,
+    lockoutMs: secretLockoutMinutes * 60 * 1000
+  });
+  const secretAttemptsByCard = createAttemptLimiter({
+    maxAttempts: secretMaxAttemptsPerCard,
+    windowMs: secretAttemptWindowMinutes * 60 * 1000,
+    lockoutMs: secretLockoutMinutes * 60 * 1000
+  });
+
+  // Seconds until the caller's IP or the card may try a secret again (0 when not locked out)
+  function secretRetryAfter(ip, cardId) {
+    return Math.max(
+      ip ? secretAttemptsByIp.retryAfter(ip) : 0,
+      cardId ? secretAttemptsByCard.retryAfter(String(cardId)) : 0
+    );
+  }
+
+  // Decrypt a card's slot key with a secret under brute-force protection (ip is null for local
+  // callers). The attempt holds a slot on the IP and the card while it runs, so concurrent guesses
+  // count before they finish; it is counted as a failure only when the secret is wrong.
+  async function decryptWithSecret(ip, cardId, encryptedPrivateKey, cardSecret) {
+    const cardKey = String(cardId);
+    if (ip && !secretAttemptsByIp.acquire(ip)) throw codedError('TOO_MANY_ATTEMPTS');
+    if (!secretAttemptsByCard.acquire(cardKey)) {
+      if (ip) secretAttemptsByIp.release(ip, false);
+      throw codedError('TOO_MANY_ATTEMPTS');
+    }
+
+    // A busy decryption queue refunds the attempt
+    let failed = false;
+    try {
+      const privateKey = await decryptPrivateKey(encryptedPrivateKey, cardSecret);
+      secretVerifications.inc({ result: 'valid' });
+      secretAttemptsByCard.reset(cardKey);
+      return privateKey;
+    } catch (error) {
+      failed = error.code !== 'DECRYPT_BUSY';
+      if (failed) secretVerifications.inc({ result: 'invalid' });
+      throw error;
+    } finally {
+      if (ip) secretAttemptsByIp.release(ip, failed);
+      secretAttemptsByCard.release(cardKey, failed);
+    }
+  }
+
+  // Card data sources
+  const cardSourceFactories = {
+    contract: () => createContractCardSource({
+      chains,
+      getProvider,
+      getContractAddress: chainId => chains[chainId].univoucherAddress,
+      abi: UNIVOUCHER_ABI
+    }),
+    api: () => createApiCardSource({ baseUrl: univoucherApiUrl })
+  };
+
+  // An injected fetchCard(cardId) replaces the configured sources
+  const cardSourcesLabel = fetchCard ? 'custom' : cardSources.join(' → ');
+  if (!fetchCard) {
+    for (const name of cardSources) {
+      if (!cardSourceFactories[name]) {
+        throw new Error(`Unknown card source "${name}" in CARD_SOURCES (expected "contract" or "api")`);
+      }
+    }
+    fetchCard = createCardFetcher(cardSources.map(name => cardSourceFactories[name]()), { logger });
+  }
+
+  // Fetch a card through the configured source, counted and timed
+  async function lookupCard(cardId) {
+    let card;
+    try {
+      card = await stageDuration.time({ stage: 'card_fetch' }, () => fetchCard(cardId));
+    } catch (error) {
+      cardLookups.inc({ result: 'error' });
+      throw error;
+    }
+    cardLookups.inc({ result: card ? 'found' : 'not_found' });
+    return card;
+  }
+
+  // Service wallet transactions, with per-chain nonce tracking
+  const txSender = createTransactionSender({ getProvider, signer, logger });
+
+  // Sink and contract checks on recipients before funds are released
+  const recipientChecker = createRecipientChecker({
+    chains,
+    getProvider,
+    getServiceAddress: chainId => txSender.getWallet(chainId).address,
+    logger
+  });
+
+  // ENS (Ethereum) and Basename (Base) resolution for recipients
+  const nameResolver = createNameResolver({
+    getProvider,
+    ensChainId: chains[1] ? 1 : null,
+    baseChainId: chains[8453] ? 8453 : null,
+    logger
+  });
+
+  // Get token info
+  async function getTokenInfo(tokenAddress, chainId, provider) {
+    if (tokenAddress === '0x0000000000000000000000000000000000000000') {
+      const chain = chains[chainId];
+      return { symbol: chain.symbol, decimals: chain.decimals };
+    }
+
+    try {
+      const erc20Abi = [
+        'function symbol() view returns (string)',
+        'function decimals() view returns (uint8)'
+      ];
+      const contract = new ethers.Contract(tokenAddress, erc20Abi, provider);
+      const [symbol, decimals] = await Promise.all([contract.symbol(), contract.decimals()]);
+      return { symbol, decimals };
+    } catch (error) {
+      return { symbol: 'TOKEN', decimals: 18 };
+    }
+  }
+
+  // Format token amount
+  function formatTokenAmount(amount, decimals) {
+    const formatted = parseFloat(ethers.utils.formatUnits(amount, decimals));
+    return formatted % 1 === 0 ? formatted.toString() : formatted.toFixed(6).replace(/\.?0+$/, '');
+  }
+
+  // API key record behind a client ID, or null for the web app and unauthenticated clients
+  function clientKey(client) {
+    if (apiAuth === 'off' || !client || !client.startsWith('key_')) return null;
+    return apiKeys.get(client);
+  }
+
+  // Partner fees for a client; an API key's own partner address takes precedence
+  function resolveFees(chainId, client, tokenAmount) {
+    const key = clientKey(client);
+    return feePolicy.resolve({ chainId, client, tokenAmount, clientPartnerAddress: key ? key.partnerAddress : null });
+  }
+
+  // Whether a client may redeem cards on chainId
+  function isChainAllowed(client, chainId) {
+    const key = clientKey(client);
+    return !key || !key.allowedChains || key.allowedChains.includes(Number(chainId));
+  }
+
+  // Daily gas budget of a client on chainId in wei, or null when it has none
+  function gasBudgetFor(client, chainId) {
+    const budget = client === 'web' ? webGasBudget : (clientKey(client) || {}).dailyGasBudget;
+    return budget && budget[chainId] ? ethers.utils.parseEther(budget[chainId]) : null;
+  }
+
+  // Describe a resolved fee split for API responses
+  function formatFees(fees, tokenInfo) {
+    const format = amount => `${formatTokenAmount(amount, tokenInfo.decimals)} ${tokenInfo.symbol}`;
+    return {
+      partnerAddress: fees.partnerAddress,
+      partnerFeePercent: fees.partnerFeeBps / 100,
+      grossAmount: fees.grossAmount.toString(),
+      partnerFee: fees.partnerFee.toString(),
+      netAmount: fees.netAmount.toString(),
+      formattedGrossAmount: format(fees.grossAmount),
+      formattedPartnerFee: format(fees.partnerFee),
+      formattedNetAmount: format(fees.netAmount)
+    };
+  }
+
+  // Service wallet balance monitor; chains below their minimum balance are unavailable
+  const treasuryMonitor = createTreasuryMonitor({
+    chains,
+    getProvider,
+    address: signer.address,
+    thresholds: treasuryThresholds,
+    intervalMs: treasuryCheckIntervalSeconds * 1000,
+    onAlert: sendTreasuryAlert
+  });
+  metrics.onCollect(() => {
+    for (const status of treasuryMonitor.getStatus()) {
+      if (status.formattedBalance !== null) {
+        walletBalance.set({ chain: status.chainId, symbol: status.symbol }, Number(status.formattedBalance));
+      }
+    }
+  });
+
+  // Log treasury alerts and forward them to treasuryAlertWebhookUrl if configured
+  async function sendTreasuryAlert(alert) {
+    const chain = chains[alert.chainId];
+    const balance = `${ethers.utils.formatUnits(alert.balance, chain.decimals)} ${chain.symbol}`;
+    const text = alert.type === 'low_balance'
+      ? `⚠️ Service wallet balance on ${alert.chainName} is low: ${balance}${alert.available ? '' : ' (redemptions disabled)'}`
+      : `✅ Service wallet balance on ${alert.chainName} recovered: ${balance}`;
+    logger.warn(text);
+
+    if (!treasuryAlertWebhookUrl) return;
+    try {
+      await fetch(treasuryAlertWebhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          type: alert.type,
+          chainId: alert.chainId,
+          chainName: alert.chainName,
+          balance: alert.balance.toString(),
+          formattedBalance: balance,
+          available: alert.available,
+          text
+        })
+      });
+    } catch (error) {
+      logger.error('Failed to send treasury alert:', error.message);
+    }
+  }
+
+  // Gas fee strategy with per-chain caps
+  const feeStrategy = createFeeStrategy({
+    chains,
+    caps: gasCaps,
+    maxCostCardRatio: gasMaxCostCardRatio > 0 ? gasMaxCostCardRatio : null,
+    gasLimitBufferPercent
+  });
+
+  // Submitted redemptions are watched until their chain's confirmation depth; stuck ones are sped up
+  const txTracker = createTransactionTracker({
+    chains,
+    txSender,
+    feeStrategy,
+    minConfirmations: redeemConfirmations,
+    pollIntervalMs: txPollIntervalSeconds * 1000,
+    stuckAfterMs: txStuckAfterSeconds * 1000,
+    maxReplacements: txMaxReplacements,
+    timeoutMs: txTimeoutMinutes * 60 * 1000,
+    logger
+  });
+
+  // Card details for display, with the fee split and whether the client can redeem it now
+  async function getCardInfo(cardId, client) {
+    const card = await lookupCard(cardId);
+    if (!card) {
+      throw codedError('CARD_NOT_FOUND');
+    }
+
+    if (!chains[card.chainId]) {
+      throw codedError('CHAIN_UNSUPPORTED');
+    }
+
+    // Get token info
+    const provider = getProvider(card.chainId);
+    const tokenInfo = await getTokenInfo(card.tokenAddress, card.chainId, provider);
+    const fees = resolveFees(card.chainId, client, card.tokenAmount);
+    const chainAllowed = isChainAllowed(client, card.chainId);
+    let unavailableReason = null;
+    if (!chainAllowed) {
+      unavailableReason = `This API key cannot redeem cards on ${chains[card.chainId].name}`;
+    } else if (!treasuryMonitor.isAvailable(card.chainId)) {
+      unavailableReason = `Redemptions on ${chains[card.chainId].name} are temporarily unavailable, please try again later`;
+    }
+
+    return {
+      cardId: card.cardId,
+      slotId: card.slotId,
+      chainId: card.chainId,
+      chainName: chains[card.chainId].name,
+      active: card.active,
+      status: card.status,
+      tokenAddress: card.tokenAddress,
+      tokenAmount: card.tokenAmount,
+      formattedAmount: `${formatTokenAmount(card.tokenAmount, tokenInfo.decimals)} ${tokenInfo.symbol}`,
+      creator: card.creator,
+      message: card.message || '',
+      encryptedPrivateKey: card.encryptedPrivateKey,
+      createdAt: card.createdAt,
+      fees: formatFees(fees, tokenInfo),
+      redemptionAvailable: !unavailableReason,
+      unavailableReason
+    };
+  }
+
+  // Check a card secret by decrypting the card key; throws INVALID_SECRET (or DECRYPT_BUSY)
+  async function verifySecret(cardId, cardSecret, { ip = null } = {}) {
+    // Get card info first
+    const card = await lookupCard(cardId);
+    if (!card) {
+      throw codedError('CARD_NOT_FOUND');
+    }
+
+    if (!card.active) {
+      throw codedError('CARD_INACTIVE');
+    }
+
+    // Try to decrypt the private key to verify the secret
+    await decryptWithSecret(ip, cardId, card.encryptedPrivateKey, cardSecret);
+  }
+
+  const ledger = createLedger({ file: ledgerFile, logger });
+
+  // Signed webhook deliveries of redemption events, with failed deliveries kept as dead letters
+  const webhookDeadLetters = createLedger({ file: webhookDeadLetterFile, logger });
+  const webhooks = createWebhookDispatcher({
+    subscriptions: webhookSubscriptions,
+    maxAttempts: webhookMaxAttempts,
+    onDeadLetter: record => webhookDeadLetters.append(record),
+    logger
+  });
+
+  // Job stages that are reported to webhooks, and their event types
+  const WEBHOOK_STAGE_EVENTS = {
+    validated: 'card.verified',
+    submitted: 'redemption.submitted',
+    unconfirmed: 'redemption.unconfirmed',
+    confirmed: 'redemption.confirmed',
+    failed: 'redemption.failed'
+  };
+
+  const redemptionJobs = createJobStore({
+    onAdvance: (entry, job) => {
+      const type = WEBHOOK_STAGE_EVENTS[entry.stage];
+      if (type) webhooks.emit(type, { ...redemptionJobs.toJSON(job), client: job.client });
+    }
+  });
+
+  // Look up a card that is active and redeemable on a chain the service wallet can pay for
+  // and the client may use
+  async function loadRedeemableCard(cardId, client) {
+    // Get card info
+    const card = await lookupCard(cardId);
+    if (!card) {
+      throw codedError('CARD_NOT_FOUND');
+    }
+
+    if (!card.active) {
+      throw codedError('CARD_INACTIVE');
+    }
+
+    if (!chains[card.chainId]) {
+      throw codedError('CHAIN_UNSUPPORTED');
+    }
+
+    if (!isChainAllowed(client, card.chainId)) {
+      throw codedError('CHAIN_NOT_ALLOWED', `This API key cannot redeem cards on ${chains[card.chainId].name}`);
+    }
+
+    if (!treasuryMonitor.isAvailable(card.chainId)) {
+      throw codedError('CHAIN_UNAVAILABLE', `Redemptions on ${chains[card.chainId].name} are temporarily unavailable, please try again later`);
+    }
+
+    return card;
+  }
+
+  // Look up a card, reject sink recipients and check the secret against it; advances the job
+  // to "validated"
+  async function validateRedemption(jobId, { cardId, cardSecret, recipientAddress, ip, client }) {
+    const card = await loadRedeemableCard(cardId, client);
+    recipientChecker.checkSink(recipientAddress, card);
+
+    // Decrypt private key
+    const privateKey = await decryptWithSecret(ip, cardId, card.encryptedPrivateKey, cardSecret);
+    redemptionJobs.advance(jobId, 'validated', {
+      chainId: card.chainId,
+      tokenAddress: card.tokenAddress,
+      tokenAmount: card.tokenAmount
+    });
+
+    return { card, privateKey };
+  }
+
+  // Message hash the card's slot key signs to authorize a redemption to recipientAddress
+  function redemptionMessageHash(cardId, recipientAddress) {
+    return ethers.utils.solidityKeccak256(
+      ["string", "string", "string", "address"],
+      ["Redeem card:", String(cardId), "to:", recipientAddress]
+    );
+  }
+
+  // Sign the redemption with the card key; advances the job to "signed"
+  async function signRedemption(jobId, { privateKey, cardId, recipientAddress }) {
+    // Create wallet from private key to sign redemption message
+    const cardWallet = new ethers.Wallet(privateKey);
+
+    // Sign the message
+    const arrayifiedHash = ethers.utils.arrayify(redemptionMessageHash(cardId, recipientAddress));
+    const signature = await cardWallet.signMessage(arrayifiedHash);
+    redemptionJobs.advance(jobId, 'signed');
+
+    return signature;
+  }
+
+  // Broadcast a signed redemption from the service wallet; advances the job to "submitted"
+  async function submitRedemption(jobId, { card, signature, cardId, recipientAddress, client }) {
+    // Execute redemption using service wallet (gasless for user)
+    const serviceWallet = txSender.getWallet(card.chainId);
+    const provider = serviceWallet.provider;
+    const contract = new ethers.Contract(chains[card.chainId].univoucherAddress, UNIVOUCHER_ABI, serviceWallet);
+
+    // Resolve partner fees for this chain and client (AddressZero means no partner fee)
+    const fees = resolveFees(card.chainId, client, card.tokenAmount);
+
+    // Get gas estimate for gasless service (as per UniVoucher docs)
+    const gasEstimate = await stageDuration.time({ stage: 'estimate_gas' }, () =>
+      contract.estimateGas.redeemCard(cardId, recipientAddress, signature, fees.partnerArgument));
+    const gasLimit = feeStrategy.bufferGasLimit(gasEstimate);
+
+    // Get fees for the chain and refuse to sponsor gas above the configured caps
+    const gasFees = await feeStrategy.getFees(card.chainId, provider);
+    const gasCost = feeStrategy.checkGasCost({ chainId: card.chainId, gasLimit, fees: gasFees, card });
+
+    // Hold the worst-case cost against the client's daily gas budget until the actual cost is known
+    gasBudget.reserve(jobId, { client, chainId: card.chainId, amount: gasCost, budget: gasBudgetFor(client, card.chainId) });
+
+    // Execute redemption with the current gas settings (the sender assigns the nonce)
+    const txRequest = await contract.populateTransaction.redeemCard(cardId, recipientAddress, signature, fees.partnerArgument, {
+      gasLimit,
+      ...gasFees
+    });
+    const tx = await txSender.sendTransaction(card.chainId, txRequest);
+    const explorerUrl = explorerTxUrl(chains[card.chainId], tx.hash);
+    redemptionJobs.advance(jobId, 'submitted', {
+      txHash: tx.hash,
+      explorerUrl,
+      partnerAddress: fees.partnerAddress,
+      partnerFee: fees.partnerFee.toString()
+    });
+
+    return { tx, txRequest, fees, provider };
+  }
+
+  // Wait for a submitted redemption to reach its chain's confirmation depth; advances the job to
+  // "mined" and "confirmed". A sped-up transaction is reported as "submitted" again with its new
+  // hash, and one that a reorg takes out of its block goes back to "submitted" until mined again.
+  // One still pending after the timeout is "unconfirmed" until a receipt or its nonce settles it.
+  // Speed-ups raise the job's gas budget reservation to their higher worst-case cost.
+  async function confirmRedemption(jobId, { card, recipientAddress, tx, txRequest, fees, provider }) {
+    const chain = chains[card.chainId];
+    let receipt;
+    try {
+      receipt = await stageDuration.time({ stage: 'confirmation' }, () => txTracker.track(card.chainId, tx, {
+        txRequest,
+        card,
+        reserveGas: cost => gasBudget.raise(jobId, cost),
+        onReplaced: (replacement, replacedTxHash) => redemptionJobs.advance(jobId, 'submitted', {
+          txHash: replacement.hash,
+          explorerUrl: explorerTxUrl(chain, replacement.hash),
+          replacedTxHash
+        }),
+        onMined: minedReceipt => redemptionJobs.advance(jobId, 'mined', {
+          txHash: minedReceipt.transactionHash,
+          blockNumber: minedReceipt.blockNumber,
+          gasUsed: minedReceipt.gasUsed.toString(),
+          confirmations: 1
+        }),
+        onReorg: record => redemptionJobs.advance(jobId, 'submitted', {
+          txHash: record.hash,
+          explorerUrl: explorerTxUrl(chain, record.hash),
+          reorged: true,
+          confirmations: 0
+        }),
+        onTimeout: record => redemptionJobs.advance(jobId, 'unconfirmed', {
+          txHash: record.hash,
+          explorerUrl: explorerTxUrl(chain, record.hash)
+        })
+      }));
+    } catch (error) {
+      // Receipts carry no revert reason; replay the transaction at its block to get it
+      if (error.code === ethers.errors.CALL_EXCEPTION && error.receipt) {
+        error.revertData = await replayRevertData(provider, tx, error.receipt.blockNumber);
+      }
+      throw error;
+    }
+
+    // Get token info for response
+    const tokenInfo = await getTokenInfo(card.tokenAddress, card.chainId, provider);
+
+    // Spending gas may have pushed the service wallet under a threshold
+    treasuryMonitor.check(String(card.chainId));
+
+    const amount = `${formatTokenAmount(card.tokenAmount, tokenInfo.decimals)} ${tokenInfo.symbol}`;
+    recordRedemption(jobId, { outcome: 'confirmed', receipt, amount });
+
+    redemptionJobs.advance(jobId, 'confirmed', {
+      txHash: receipt.transactionHash,
+      confirmations: txTracker.requiredConfirmations(card.chainId),
+      result: {
+        success: true,
+        chainId: card.chainId,
+        txHash: receipt.transactionHash,
+        recipientAddress,
+        partnerAddress: fees.partnerAddress,
+        amount,
+        fees: formatFees(fees, tokenInfo),
+        explorerUrl: explorerTxUrl(chain, receipt.transactionHash)
+      }
+    });
+  }
+
+  // Mark a job as failed with a user-facing reason and its error code
+  function failRedemption(jobId, error) {
+    const { code, message } = classifyError(error, 'Failed to redeem card');
+    const job = redemptionJobs.get(jobId);
+    const context = job ? { jobId, requestId: job.requestId, cardId: job.cardId, chainId: job.chainId, errorCode: code } : { jobId, errorCode: code };
+    // Expected failures (wrong secret, inactive card, ...) are not errors of the service, whether
+    // raised here or decoded from a revert; unclassified failures are
+    if (SERVICE_FAULT_CODES.includes(code)) {
+      logger.error('Error redeeming card:', error, context);
+    } else {
+      logger.info('Redemption failed:', message, context);
+    }
+    // Reverted transactions still cost gas; ethers attaches their receipt to the error
+    recordRedemption(jobId, { outcome: 'failed', receipt: error.receipt, error: message, errorCode: code });
+    redemptionJobs.advance(jobId, 'failed', { error: message, errorCode: code });
+  }
+
+  // Write the outcome of a redemption job to the ledger
+  function recordRedemption(jobId, { outcome, receipt, amount = null, error = null, errorCode = null }) {
+    const job = redemptionJobs.get(jobId);
+    if (!job || redemptionJobs.isTerminal(job)) return;
+
+    const effectiveGasPrice = receipt && receipt.effectiveGasPrice;
+    const gasCost = receipt && effectiveGasPrice ? receipt.gasUsed.mul(effectiveGasPrice).toString() : null;
+    const chain = chains[job.chainId];
+    redemptionsTotal.inc({ chain: job.chainId || 'none', outcome, code: errorCode || '' });
+    if (gasCost && chain) {
+      gasSpent.inc({ chain: job.chainId, symbol: chain.symbol }, Number(ethers.utils.formatUnits(gasCost, chain.decimals)));
+    }
+    gasBudget.settle(jobId, { client: job.client, chainId: job.chainId, amount: gasCost });
+    ledger.append({
+      id: job.id,
+      outcome,
+      cardId: job.cardId,
+      chainId: job.chainId,
+      tokenAddress: job.tokenAddress || null,
+      tokenAmount: job.tokenAmount || null,
+      amount,
+      recipientAddress: job.recipientAddress,
+      txHash: job.txHash,
+      gasUsed: receipt ? receipt.gasUsed.toString() : null,
+      effectiveGasPrice: effectiveGasPrice ? effectiveGasPrice.toString() : null,
+      gasCost,
+      partnerAddress: job.partnerAddress || null,
+      partnerFee: job.partnerFee || null,
+      client: job.client,
+      error,
+      errorCode
+    });
+  }
+
+  // Run a redemption job through its stages: validated, signed, submitted, mined, confirmed (or failed)
+  async function runRedemption(jobId, { cardId, cardSecret, recipientAddress, client, ip }) {
+    try {
+      const { card, privateKey } = await validateRedemption(jobId, { cardId, cardSecret, recipientAddress, ip, client });
+      const signature = await signRedemption(jobId, { privateKey, cardId, recipientAddress });
+      const submission = await submitRedemption(jobId, { card, signature, cardId, recipientAddress, client });
+      await confirmRedemption(jobId, { card, recipientAddress, ...submission });
+    } catch (error) {
+      failRedemption(jobId, error);
+    }
+  }
+
+  // The signature must come from the card's slot key, or the contract would reject it after we paid for gas
+  function checkSlotSignature(card, { cardId, recipientAddress, signature }) {
+    let slotSigner;
+    try {
+      slotSigner = ethers.utils.verifyMessage(ethers.utils.arrayify(redemptionMessageHash(cardId, recipientAddress)), signature);
+    } catch (error) {
+      slotSigner = null;
+    }
+    if (!slotSigner || slotSigner.toLowerCase() !== card.slotId.toLowerCase()) {
+      throw codedError('INVALID_SIGNATURE');
+    }
+  }
+
+  // Check a browser-made redemption signature against the card's slot address; advances the job
+  // to "validated" and "signed"
+  async function validateRelay(jobId, { cardId, recipientAddress, signature, client }) {
+    const card = await loadRedeemableCard(cardId, client);
+    recipientChecker.checkSink(recipientAddress, card);
+    checkSlotSignature(card, { cardId, recipientAddress, signature });
+
+    redemptionJobs.advance(jobId, 'validated', {
+      chainId: card.chainId,
+      tokenAddress: card.tokenAddress,
+      tokenAmount: card.tokenAmount
+    });
+    redemptionJobs.advance(jobId, 'signed');
+
+    return card;
+  }
+
+  // Run a relay job: the card was decrypted and the redemption signed in the browser
+  async function runRelay(jobId, { cardId, recipientAddress, signature, client }) {
+    try {
+      const card = await validateRelay(jobId, { cardId, recipientAddress, signature, client });
+      const submission = await submitRedemption(jobId, { card, signature, cardId, recipientAddress, client });
+      await confirmRedemption(jobId, { card, recipientAddress, ...submission });
+    } catch (error) {
+      failRedemption(jobId, error);
+    }
+  }
+
+  // Run a batch: validate every card first, then redeem the valid ones grouped by chain.
+  // Chains run in parallel; within a chain cards are submitted one by one and confirmed together.
+  async function runBatch(entries, { recipientAddress, client, ip }) {
+    const byChain = new Map();
+    for (const entry of entries) {
+      try {
+        const { card, privateKey } = await validateRedemption(entry.jobId, { ...entry, recipientAddress, ip, client });
+        if (!byChain.has(card.chainId)) byChain.set(card.chainId, []);
+        byChain.get(card.chainId).push({ ...entry, card, privateKey });
+      } catch (error) {
+        failRedemption(entry.jobId, error);
+      }
+    }
+
+    await Promise.all([...byChain.values()].map(async group => {
+      const confirmations = [];
+      for (const { jobId, cardId, card, privateKey } of group) {
+        try {
+          const signature = await signRedemption(jobId, { privateKey, cardId, recipientAddress });
+          const submission = await submitRedemption(jobId, { card, signature, cardId, recipientAddress, client });
+          confirmations.push(
+            confirmRedemption(jobId, { card, recipientAddress, ...submission }).catch(error => failRedemption(jobId, error))
+          );
+        } catch (error) {
+          failRedemption(jobId, error);
+        }
+      }
+      await Promise.all(confirmations);
+    }));
+  }
+
+  // Check a redemption without sending it: the card is validated, the redemption is signed with
+  // the card secret (or a browser-made signature is checked) and simulated from the service
+  // wallet, and its gas is estimated. Without a recipient the simulation pays the service wallet,
+  // which needs the secret. Problems the contract or gas limits would cause are reported in
+  // error rather than thrown, as is a blocked recipient; contract recipients come back as warnings.
+  async function previewRedemption({ cardId, cardSecret, signature, recipientAddress = null, client, ip = null }) {
+    const card = await loadRedeemableCard(cardId, client);
+    const serviceWallet = txSender.getWallet(card.chainId);
+    const simulatedRecipient = recipientAddress || serviceWallet.address;
+
+    if (signature) {
+      if (!recipientAddress) throw codedError('INVALID_REQUEST', 'recipientAddress is required with a signature');
+      checkSlotSignature(card, { cardId, recipientAddress, signature });
+    } else {
+      const privateKey = await decryptWithSecret(ip, cardId, card.encryptedPrivateKey, cardSecret);
+      signature = await new ethers.Wallet(privateKey).signMessage(
+        ethers.utils.arrayify(redemptionMessageHash(cardId, simulatedRecipient))
+      );
+    }
+
+    const provider = serviceWallet.provider;
+    const contract = new ethers.Contract(chains[card.chainId].univoucherAddress, UNIVOUCHER_ABI, serviceWallet);
+    const fees = resolveFees(card.chainId, client, card.tokenAmount);
+    const tokenInfo = await getTokenInfo(card.tokenAddress, card.chainId, provider);
+    const chain = chains[card.chainId];
+    const formatGas = amount => `${formatTokenAmount(amount, chain.decimals)} ${chain.symbol}`;
+    const args = [cardId, simulatedRecipient, signature, fees.partnerArgument];
+
+    let gas = null;
+    let error = null;
+    let warnings = [];
+    try {
+      if (recipientAddress) warnings = await recipientChecker.check(recipientAddress, card);
+      await contract.callStatic.redeemCard(...args);
+      const gasEstimate = await stageDuration.time({ stage: 'estimate_gas' }, () => contract.estimateGas.redeemCard(...args));
+      const gasLimit = feeStrategy.bufferGasLimit(gasEstimate);
+      const [gasFees, gasPrice] = await Promise.all([feeStrategy.getFees(card.chainId, provider), provider.getGasPrice()]);
+      // Expected cost at today's price, and the most the transaction could cost at its fee cap
+      const estimatedCost = gasEstimate.mul(gasPrice);
+      const maxCost = feeStrategy.maxGasCost(gasLimit, gasFees);
+      gas = {
+        estimate: gasEstimate.toString(),
+        limit: gasLimit.toString(),
+        estimatedCost: estimatedCost.toString(),
+        maxCost: maxCost.toString(),
+        formattedEstimatedCost: formatGas(estimatedCost),
+        formattedMaxCost: formatGas(maxCost)
+      };
+      feeStrategy.checkGasCost({ chainId: card.chainId, gasLimit, fees: gasFees, card });
+    } catch (simulationError) {
+      const { code, message, reason } = classifyError(simulationError, 'The redemption could not be simulated');
+      error = { code, message, reason };
+    }
+
+    return {
+      cardId: String(cardId),
+      chainId: card.chainId,
+      chainName: chain.name,
+      recipientAddress,
+      serviceAddress: serviceWallet.address,
+      formattedAmount: `${formatTokenAmount(card.tokenAmount, tokenInfo.decimals)} ${tokenInfo.symbol}`,
+      fees: formatFees(fees, tokenInfo),
+      gas,
+      warnings,
+      wouldSucceed: !error,
+      error
+    };
+  }
+
+  // Check a recipient before redeeming to it: sinks throw RECIPIENT_BLOCKED. With a card, contract
+  // recipients on its chain come back as { code, message } warnings; without one only sinks are
+  // checked (on every chain) and the list is empty.
+  async function checkRecipient(recipientAddress, { cardId = null } = {}) {
+    if (!cardId) {
+      recipientChecker.checkSink(recipientAddress);
+      return [];
+    }
+    const card = await lookupCard(cardId);
+    if (!card) throw codedError('CARD_NOT_FOUND');
+    if (!chains[card.chainId]) throw codedError('CHAIN_UNSUPPORTED');
+    return recipientChecker.check(recipientAddress, card);
+  }
+
+  // Warnings about redeeming every one of cardIds to the recipient, checked once per chain and
+  // payout kind (native coin or token). Cards that cannot be loaded, or whose token contract is
+  // the recipient, are left to their own redemption to report.
+  async function checkBatchRecipient(recipientAddress, cardIds) {
+    recipientChecker.checkSink(recipientAddress);
+    const cards = await Promise.all(cardIds.map(cardId => lookupCard(cardId).catch(() => null)));
+    const checks = new Map();
+    for (const card of cards) {
+      if (!card || !chains[card.chainId]) continue;
+      const key = `${card.chainId}:${card.tokenAddress === ethers.constants.AddressZero}`;
+      if (!checks.has(key)) checks.set(key, recipientChecker.check(recipientAddress, card).catch(() => []));
+    }
+    return (await Promise.all(checks.values())).flat();
+  }
+
+  // Redeem a card and wait for the outcome; resolves with the finished job (confirmed or failed).
+  // onStage(entry, job) is called as the job advances.
+  async function redeemCard({ cardId, cardSecret, recipientAddress, client, ip = null, onStage }) {
+    const job = redemptionJobs.create({ cardId: String(cardId), recipientAddress, client });
+    if (!job) throw codedError('REDEMPTION_IN_PROGRESS');
+
+    const unsubscribe = onStage ? redemptionJobs.subscribe(job.id, onStage) : () => {};
+    try {
+      await runRedemption(job.id, { cardId, cardSecret, recipientAddress, client, ip });
+    } finally {
+      unsubscribe();
+    }
+    return redemptionJobs.toJSON(redemptionJobs.get(job.id));
+  }
+
+  // Status of a redemption transaction sent by the service wallet, by its chain and hash (any
+  // hash of a sped-up transaction works), with the card and recipient decoded from its input.
+  // Null for transactions that are not service wallet redemptions.
+  async function getTransactionStatus(chainId, hash) {
+    const chain = chains[chainId];
+    const status = await txTracker.lookup(chainId, hash);
+    if (!status || !status.to || status.to.toLowerCase() !== chain.univoucherAddress.toLowerCase()) return null;
+
+    let redemption;
+    try {
+      redemption = univoucher.decodeFunctionData('redeemCard', status.input);
+    } catch (error) {
+      return null;
+    }
+
+    const { input, ...rest } = status;
+    return {
+      ...rest,
+      chainName: chain.name,
+      cardId: redemption.cardId,
+      recipientAddress: redemption.to,
+      explorerUrl: explorerTxUrl(chain, status.hash)
+    };
+  }
+
+  // Log the configuration and start background work: today's gas usage, nonces, treasury checks
+  function start() {
+    logger.info(`Partner Address: ${partnerAddress}`);
+    logger.info(`Partner fees: ${partnerFees}${partnerFeesChains ? ` (chains: ${partnerFeesChains})` : ''}${partnerFeesClients ? ` (clients: ${partnerFeesClients})` : ''}`);
+    logger.info(`Card sources: ${cardSourcesLabel}`);
+    logger.info(`API auth: ${apiAuth}${apiAuth === 'required' ? ` (${apiKeys.list().filter(key => !key.revokedAt).length} active keys)` : ''}`);
+    logger.info(`Webhooks: ${webhookSubscriptions.length ? webhookSubscriptions.map(s => s.url).join(', ') : 'none'}`);
+    logger.info(`Chains: ${Object.values(chains).map(chain => `${chain.name} (${chain.chainId}, ${chain.rpcUrls ? `${chain.rpcUrls.length} RPC` : 'custom provider'}, ${txTracker.requiredConfirmations(chain.chainId)} conf)`).join(', ')}`);
+
+    // Count gas already spent today against client budgets
+    ledger.query({ from: `${utcDay()}T00:00:00.000Z` })
+      .then(records => records.forEach(record => gasBudget.settle(record.id, { client: record.client, chainId: record.chainId, amount: record.gasCost })))
+      .catch(error => logger.error('Failed to load today\'s gas usage from the ledger:', error.message));
+
+    // Pick up the service wallet's pending nonces before the first redemption
+    txSender.resync(Object.keys(chains));
+    treasuryMonitor.start();
+  }
+
+  function stop() {
+    treasuryMonitor.stop();
+  }
+
+  // Let pending webhook deliveries finish (or dead-letter them) before the process exits
+  function flushWebhooks() {
+    return webhooks.flush();
+  }
+
+  return {
+    chains,
+    signer,
+    logger,
+    apiKeys,
+    nameResolver,
+    treasuryMonitor,
+    ledger,
+    webhooks,
+    webhookDeadLetters,
+    redemptionJobs,
+    metrics,
+    formatTokenAmount,
+    secretRetryAfter,
+    getCardInfo,
+    verifySecret,
+    runRedemption,
+    runRelay,
+    runBatch,
+    previewRedemption,
+    checkRecipient,
+    checkBatchRecipient,
+    redeemCard,
+    getTransactionStatus,
+    start,
+    stop,
+    flushWebhooks
+  };
+}
+
+module.exports = {
+  createRedeemCore
+};
@@ -0,0 +1,633 @@
+const crypto = require('crypto');
+const express = require('express');
+const cors = require('cors');
+const { ethers } = require('ethers');
+const { MAX_KEY_LENGTH, createIdempotencyStore } = require('./idempotency');
+const { parseCardsCsv, createBatchStore, buildBatchReport } = require('./batches');
+const { TERMINAL_STAGES } = require('./redemption-jobs');
+const { requireAdminToken, requireMetricsToken } = require('./admin-auth');
+const { createWebSessions, isSameOrigin, requireApiClient } = require('./api-keys');
+const { createRateLimiter } = require('./client-quotas');
+const { createApiSchema, sendValidationError, handleBodyErrors } = require('./api-schema');
+const { renderApiDocs } = require('./api-docs');
+const { ERROR_CODES, codedError, sendError } = require('./error-codes');
+const { createRedeemCore } = require('./redeem-core');
+const { version } = require('../package.json');
+
+// The redemption API (/api/...) as an Express router, to mount in lib/app.js or any other app.
+// Takes the createRedeemCore options plus the HTTP settings below; throws when they cannot work.
+// Call router.start() once the app listens.
+function createRedeemRouter(options = {}) {
+  const {
+    batchMaxCards = 100,
+    jsonBodyLimit = '100kb',
+    adminToken,
+    apiAuth = 'required',
+    webSessionSecret,
+    webRateLimitPerMinute = 30,
+    nonCustodial = 'optional',
+    metricsToken
+  } = options;
+  if (!['off', 'optional', 'required'].includes(nonCustodial)) {
+    throw new Error('NON_CUSTODIAL must be off, optional or required');
+  }
+
+  const core = createRedeemCore(options);
+  const {
+    chains,
+    signer,
+    logger,
+    apiKeys,
+    nameResolver,
+    treasuryMonitor,
+    ledger,
+    webhooks,
+    webhookDeadLetters,
+    redemptionJobs,
+    metrics,
+    formatTokenAmount,
+    secretRetryAfter,
+    runRedemption,
+    runRelay,
+    runBatch
+  } = core;
+
+  const router = express.Router();
+
+  const httpRequests = metrics.counter('http_requests_total', 'API requests by route and status', ['method', 'route', 'status']);
+  const httpDuration = metrics.histogram('http_request_duration_seconds', 'API request latency by route', ['method', 'route']);
+
+  // Request IDs (a caller's X-Request-Id is kept), a logger that tags every line with the ID,
+  // request metrics, and one log line per API request. Routes are logged as their pattern, so
+  // card IDs, job IDs and hashes stay out of the logs.
+  router.use((req, res, next) => {
+    const requested = req.get('X-Request-Id');
+    req.id = requested && /^[\w.:-]{1,128}$/.test(requested) ? requested : crypto.randomUUID();
+    req.log = logger.child ? logger.child({ requestId: req.id }) : logger;
+    res.set('X-Request-Id', req.id);
+
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+      if (!req.route) return;
+      const route = `${req.baseUrl}${req.route.path}`;
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      httpDuration.observe({ method: req.method, route }, seconds);
+      req.log.info('request', {
+        method: req.method,
+        route,
+        status: res.statusCode,
+        durationMs: Math.round(seconds * 1000),
+        client: req.apiClient ? req.apiClient.id : undefined
+      });
+    });
+    next();
+  });
+
+  // Web sessions and request rate limits
+  const webSessions = createWebSessions(webSessionSecret ? { secret: webSessionSecret } : {});
+  const rateLimiter = createRateLimiter();
+  const requireClient = apiAuth === 'off'
+    ? (req, res, next) => next()
+    : requireApiClient({ apiKeys, sessions: webSessions, rateLimiter, webRateLimitPerMinute });
+
+  // Request and response schemas of every route; request bodies are validated against them
+  const apiSchema = createApiSchema({ batchMaxCards, version });
+  const validateBody = apiSchema.validateBody;
+
+  // Cross-origin browser access only for origins allowed by an API key
+  router.use('/api', cors({
+    origin: (origin, callback) => callback(null, apiAuth === 'off' || (Boolean(origin) && apiKeys.isAllowedOrigin(origin)))
+  }));
+  router.use('/api', express.json({ limit: jsonBodyLimit }), handleBodyErrors);
+
+  // Send a 429 when the caller's IP or the card is locked out; returns true if the request was rejected
+  function rejectLockedOut(req, res, cardId) {
+    const retryAfter = secretRetryAfter(req.ip, cardId);
+    if (!retryAfter) return false;
+
+    const minutes = Math.ceil(retryAfter / 60);
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+      error: `Too many failed attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+      code: 'TOO_MANY_ATTEMPTS',
+      retryAfter
+    });
+    return true;
+  }
+
+  // Identify the calling client: its API key ID, or "web" for the web app's session and, with
+  // apiAuth=off, for every caller (a client name they send could claim another client's fees
+  // and gas budget)
+  function getClientId(req) {
+    if (req.apiClient) return req.apiClient.id;
+    return 'web';
+  }
+
+  const idempotencyKeys = createIdempotencyStore();
+  const redemptionBatches = createBatchStore();
+
+  // API Routes
+
+  // Get card info
+  router.post('/api/card-info', requireClient, validateBody('getCardInfo'), async (req, res) => {
+    try {
+      res.json(await core.getCardInfo(req.body.cardId, getClientId(req)));
+    } catch (error) {
+      if (!ERROR_CODES[error.code]) req.log.error('Error getting card info:', error);
+      sendError(res, error, 'Failed to get card information');
+    }
+  });
+
+  // Verify card secret
+  router.post('/api/verify-secret', requireClient, validateBody('verifySecret'), async (req, res) => {
+    if (nonCustodial === 'required') {
+      return sendError(res, codedError('FORBIDDEN', 'This server does not accept card secrets, verify the secret in the browser'));
+    }
+
+    const { cardId, cardSecret } = req.body;
+    if (rejectLockedOut(req, res, cardId)) return;
+
+    try {
+      await core.verifySecret(cardId, cardSecret, { ip: req.ip });
+      res.json({ valid: true });
+    } catch (error) {
+      if (error.code === 'DECRYPT_BUSY') res.set('Retry-After', '5');
+      if (error.code === 'TOO_MANY_ATTEMPTS') res.set('Retry-After', String(secretRetryAfter(req.ip, cardId) || 5));
+      if (!ERROR_CODES[error.code]) req.log.error('Error verifying secret:', error);
+      sendError(res, error, 'Failed to verify card secret');
+    }
+  });
+
+  // Start a redemption job for a card and answer 202 with its URLs.
+  // An Idempotency-Key header makes retries return the original job instead of redeeming again,
+  // and only one redemption per card may be in flight. Returns without starting when a response was sent.
+  function startRedemptionJob(req, res, { cardId, recipientAddress, checkLockout, run }) {
+    const client = getClientId(req);
+    const idempotencyKey = req.get('Idempotency-Key');
+    const fingerprint = { cardId: String(cardId), recipientAddress: ethers.utils.getAddress(recipientAddress) };
+
+    if (idempotencyKey !== undefined) {
+      if (!idempotencyKeys.isValidKey(idempotencyKey)) {
+        return sendError(res, codedError('INVALID_REQUEST', `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`));
+      }
+
+      const previous = idempotencyKeys.lookup(client, idempotencyKey, fingerprint);
+      if (previous && previous.mismatch) {
+        return sendError(res, codedError('IDEMPOTENCY_KEY_REUSED'));
+      }
+      if (previous) {
+        // The job as it is now while it is kept, else as it finished
+        const job = redemptionJobs.get(previous.body.jobId);
+        const snapshot = job ? redemptionJobs.toJSON(job) : previous.body.job;
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(previous.status).json({ ...previous.body, status: snapshot.status, job: snapshot });
+      }
+    }
+
+    if (checkLockout && rejectLockedOut(req, res, cardId)) return;
+
+    // The job re-checks card.active before anything is signed or sent
+    const job = redemptionJobs.create({ cardId: String(cardId), recipientAddress, client, requestId: req.id });
+    if (!job) {
+      return sendError(res, codedError('REDEMPTION_IN_PROGRESS'));
+    }
+
+    run(job.id, client);
+
+    const body = {
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `${req.baseUrl}/api/redemptions/${job.id}`,
+      eventsUrl: `${req.baseUrl}/api/redemptions/${job.id}/events`
+    };
+    if (idempotencyKey !== undefined) {
+      idempotencyKeys.remember(client, idempotencyKey, fingerprint, 202, body);
+      // Keep the finished job with the key, which outlives the job itself
+      const unsubscribe = redemptionJobs.subscribe(job.id, (entry, snapshot) => {
+        if (!TERMINAL_STAGES.includes(entry.stage)) return;
+        idempotencyKeys.update(client, idempotencyKey, { job: snapshot });
+        unsubscribe();
+      });
+    }
+    res.status(202).json(body);
+  }
+
+  // Answer 409 with the recipient's warnings unless the request acknowledged them; true when rejected
+  function rejectUnacknowledged(req, res, warnings) {
+    if (!warnings.length || req.body.acknowledgeWarnings === true) return false;
+
+    res.status(ERROR_CODES.WARNINGS_NOT_ACKNOWLEDGED.status).json({
+      error: ERROR_CODES.WARNINGS_NOT_ACKNOWLEDGED.message,
+      code: 'WARNINGS_NOT_ACKNOWLEDGED',
+      warnings
+    });
+    return true;
+  }
+
+  // Resolve a recipient address or ENS/Basename name and check it is not a sink; with a cardId
+  // (or the cardIds of a batch), contract recipients come back as warnings, and withReverseName
+  // looks up the address's primary name for display. Answers 400, 422 or 502 and returns null
+  // when the recipient cannot be used.
+  async function resolveRecipientOrReject(res, recipient, { cardId = null, cardIds = null, withReverseName = false } = {}) {
+    try {
+      const resolution = await nameResolver.resolveRecipient(recipient, { withReverseName });
+      const warnings = cardIds
+        ? await core.checkBatchRecipient(resolution.address, cardIds)
+        : await core.checkRecipient(resolution.address, { cardId });
+      return { ...resolution, warnings };
+    } catch (error) {
+      if (!ERROR_CODES[error.code]) res.req.log.error('Error checking recipient:', error);
+      sendError(res, error, 'Failed to resolve recipient');
+      return null;
+    }
+  }
+
+  // Resolve a recipient for display before redeeming: address, entered name, primary name and
+  // warnings about redeeming the card (if given) to it
+  router.post('/api/resolve-recipient', requireClient, validateBody('resolveRecipient'), async (req, res) => {
+    const resolution = await resolveRecipientOrReject(res, req.body.recipient, { cardId: req.body.cardId, withReverseName: true });
+    if (resolution) res.json(resolution);
+  });
+
+  // Redeem card (gasless) - starts a redemption job and returns right away
+  router.post('/api/redeem', requireClient, validateBody('redeem'), async (req, res) => {
+    if (nonCustodial === 'required') {
+      return sendError(res, codedError('FORBIDDEN', 'This server does not accept card secrets, use /api/relay'));
+    }
+
+    const { cardId, cardSecret, recipientAddress } = req.body;
+
+    // Accept an address or an ENS/Basename name; contract recipients must be acknowledged
+    const resolution = await resolveRecipientOrReject(res, recipientAddress, { cardId });
+    if (!resolution || rejectUnacknowledged(req, res, resolution.warnings)) return;
+    const { address } = resolution;
+
+    startRedemptionJob(req, res, {
+      cardId,
+      recipientAddress: address,
+      checkLockout: true,
+      run: (jobId, client) => runRedemption(jobId, { cardId, cardSecret, recipientAddress: address, client, ip: req.ip })
+    });
+  });
+
+  // Preview a redemption: fee split, simulation and gas estimate, without sending anything
+  router.post('/api/redeem/preview', requireClient, validateBody('previewRedemption'), async (req, res) => {
+    const { cardId, cardSecret, signature, recipientAddress } = req.body;
+    if (!signature && nonCustodial === 'required') {
+      return sendError(res, codedError('FORBIDDEN', 'This server does not accept card secrets, preview with a signature'));
+    }
+    if (signature && nonCustodial === 'off') {
+      return sendError(res, codedError('FORBIDDEN', 'Non-custodial redemption is disabled on this server'));
+    }
+    if (!signature && rejectLockedOut(req, res, cardId)) return;
+
+    // Accept an address or an ENS/Basename name
+    let address = null;
+    if (recipientAddress !== undefined) {
+      const resolution = await resolveRecipientOrReject(res, recipientAddress);
+      if (!resolution) return;
+      address = resolution.address;
+    }
+
+    try {
+      res.json(await core.previewRedemption({
+        cardId,
+        cardSecret,
+        signature,
+        recipientAddress: address,
+        client: getClientId(req),
+        ip: req.ip
+      }));
+    } catch (error) {
+      if (error.code === 'DECRYPT_BUSY') res.set('Retry-After', '5');
+      if (error.code === 'TOO_MANY_ATTEMPTS') res.set('Retry-After', String(secretRetryAfter(req.ip, cardId) || 5));
+      if (!ERROR_CODES[error.code]) req.log.error('Error previewing redemption:', error);
+      sendError(res, error, 'Failed to preview redemption');
+    }
+  });
+
+  // Relay a redemption signed in the browser (non-custodial) - the server never sees the card secret
+  router.post('/api/relay', requireClient, validateBody('relay'), async (req, res) => {
+    if (nonCustodial === 'off') {
+      return sendError(res, codedError('FORBIDDEN', 'Non-custodial redemption is disabled on this server'));
+    }
+
+    const { cardId, recipient, signature } = req.body;
+
+    // Accept an address or an ENS/Basename name; the signature must cover the resolved address,
+    // and contract recipients must be acknowledged
+    const resolution = await resolveRecipientOrReject(res, recipient, { cardId });
+    if (!resolution || rejectUnacknowledged(req, res, resolution.warnings)) return;
+    const { address } = resolution;
+
+    startRedemptionJob(req, res, {
+      cardId,
+      recipientAddress: address,
+      checkLockout: false,
+      run: (jobId, client) => runRelay(jobId, { cardId, recipientAddress: address, signature, client })
+    });
+  });
+
+  // Redeem many cards to one recipient - accepts a cards array or CSV text ("cardId,cardSecret" per line)
+  router.post('/api/redeem/batch', requireClient, validateBody('redeemBatch'), async (req, res) => {
+    if (nonCustodial === 'required') {
+      return sendError(res, codedError('FORBIDDEN', 'This server does not accept card secrets'));
+    }
+
+    const { csv } = req.body;
+    const client = getClientId(req);
+
+    // CSV rows get the same checks as a cards array
+    let cards = req.body.cards;
+    if (csv !== undefined) {
+      cards = parseCardsCsv(csv);
+      const problems = apiSchema.validate('BatchCards', cards, 'csv');
+      if (problems.length) return sendValidationError(res, problems);
+    }
+
+    if (rejectLockedOut(req, res)) return;
+
+    // Accept an address or an ENS/Basename name; contract recipients must be acknowledged
+    const cardIds = [...new Set(cards.map(card => String(card.cardId).trim()))];
+    const resolution = await resolveRecipientOrReject(res, req.body.recipientAddress, { cardIds });
+    if (!resolution || rejectUnacknowledged(req, res, resolution.warnings)) return;
+    const recipientAddress = resolution.address;
+
+    // Lock every card; duplicates, locked-out cards and cards already being redeemed are reported as failed
+    const seen = new Set();
+    const items = [];
+    const entries = [];
+    for (const { cardId, cardSecret } of cards) {
+      const id = String(cardId).trim();
+      if (seen.has(id)) {
+        items.push({ cardId: id, jobId: null, error: 'Duplicate card in batch', errorCode: 'INVALID_REQUEST' });
+        continue;
+      }
+      seen.add(id);
+
+      if (secretRetryAfter(null, id)) {
+        items.push({ cardId: id, jobId: null, error: 'Too many failed attempts for this card, please try again later', errorCode: 'TOO_MANY_ATTEMPTS' });
+        continue;
+      }
+
+      const job = redemptionJobs.create({ cardId: id, recipientAddress, client, requestId: req.id });
+      if (!job) {
+        items.push({ cardId: id, jobId: null, error: 'A redemption for this card is already in progress', errorCode: 'REDEMPTION_IN_PROGRESS' });
+        continue;
+      }
+      items.push({ cardId: id, jobId: job.id, error: null });
+      entries.push({ jobId: job.id, cardId: id, cardSecret: String(cardSecret).trim() });
+    }
+
+    const batch = redemptionBatches.create({ recipientAddress, items });
+    runBatch(entries, { recipientAddress, client, ip: req.ip });
+
+    res.status(202).json({
+      batchId: batch.id,
+      total: items.length,
+      statusUrl: `${req.baseUrl}/api/redeem/batch/${batch.id}`
+    });
+  });
+
+  // Get batch redemption report
+  router.get('/api/redeem/batch/:id', (req, res) => {
+    const batch = redemptionBatches.get(req.params.id);
+    if (!batch) return sendError(res, codedError('NOT_FOUND', 'Batch not found'));
+
+    const report = buildBatchReport(batch, id => {
+      const job = redemptionJobs.get(id);
+      return job && redemptionJobs.toJSON(job);
+    });
+    report.results.forEach(result => {
+      result.chainName = result.chainId ? chains[result.chainId]?.name || 'Unknown' : null;
+    });
+    res.json(report);
+  });
+
+  // Get redemption job status
+  router.get('/api/redemptions/:id', (req, res) => {
+    const job = redemptionJobs.get(req.params.id);
+    if (!job) return sendError(res, codedError('NOT_FOUND', 'Redemption not found'));
+    res.json(redemptionJobs.toJSON(job));
+  });
+
+  // Stream redemption stages as server-sent events
+  router.get('/api/redemptions/:id/events', (req, res) => {
+    const job = redemptionJobs.get(req.params.id);
+    if (!job) return sendError(res, codedError('NOT_FOUND', 'Redemption not found'));
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (entry, snapshot) => {
+      res.write(`event: ${entry.stage}\ndata: ${JSON.stringify({ ...entry, job: snapshot })}\n\n`);
+    };
+
+    // Replay the stages reached so far, then follow live updates
+    const snapshot = redemptionJobs.toJSON(job);
+    job.stages.forEach(entry => send(entry, snapshot));
+    if (redemptionJobs.isTerminal(job)) return res.end();
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    const unsubscribe = redemptionJobs.subscribe(job.id, (entry, current) => {
+      send(entry, current);
+      if (redemptionJobs.isTerminal(current)) res.end();
+    });
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
+  // Status of a redemption transaction, for receipts (transactions are public, so no key is needed)
+  router.get('/api/tx/:chainId/:hash', async (req, res) => {
+    const { chainId, hash } = req.params;
+    if (!chains[chainId]) return sendError(res, codedError('CHAIN_UNSUPPORTED'));
+    if (!/^0x[0-9a-fA-F]{64}$/.test(hash)) {
+      return sendError(res, codedError('INVALID_REQUEST', 'hash must be a 0x-prefixed transaction hash'));
+    }
+
+    try {
+      const status = await core.getTransactionStatus(chainId, hash);
+      if (!status) return sendError(res, codedError('NOT_FOUND', 'No redemption with this transaction hash'));
+      res.json(status);
+    } catch (error) {
+      if (!ERROR_CODES[error.code]) req.log.error('Error looking up transaction:', error);
+      sendError(res, error, 'Failed to look up the transaction');
+    }
+  });
+
+  // Admin: service wallet balances per chain (?refresh=1 checks them now)
+  router.get('/api/admin/treasury', requireAdminToken(adminToken), async (req, res) => {
+    try {
+      if (req.query.refresh) await treasuryMonitor.checkAll();
+      res.json({
+        address: signer.address,
+        chains: treasuryMonitor.getStatus()
+      });
+    } catch (error) {
+      req.log.error('Error getting treasury status:', error);
+      res.status(500).json({ error: 'Failed to get treasury status' });
+    }
+  });
+
+  // Ledger filters from the query string: from/to (ISO dates), chainId, status (confirmed|failed).
+  // A date-only to includes that whole day.
+  function ledgerFilters(query) {
+    const toIso = value => (value ? new Date(value).toISOString() : undefined);
+    const endOfDay = value => new Date(new Date(value).getTime() + 24 * 60 * 60 * 1000 - 1).toISOString();
+    return {
+      from: toIso(query.from),
+      to: /^\d{4}-\d{2}-\d{2}$/.test(query.to || '') ? endOfDay(query.to) : toIso(query.to),
+      chainId: query.chainId,
+      status: query.status
+    };
+  }
+
+  // Admin: redemption ledger records (JSON, or CSV with ?format=csv)
+  router.get('/api/admin/ledger', requireAdminToken(adminToken), async (req, res) => {
+    let filters;
+    try {
+      filters = ledgerFilters(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid from/to date' });
+    }
+
+    try {
+      const records = await ledger.query(filters);
+      if (req.query.format === 'csv') {
+        res.set('Content-Type', 'text/csv');
+        res.set('Content-Disposition', 'attachment; filename="redemptions.csv"');
+        return res.send(ledger.toCsv(records));
+      }
+      res.json({ count: records.length, records });
+    } catch (error) {
+      req.log.error('Error reading ledger:', error);
+      res.status(500).json({ error: 'Failed to read ledger' });
+    }
+  });
+
+  // Admin: gas spent per chain over the filtered ledger records
+  router.get('/api/admin/ledger/gas', requireAdminToken(adminToken), async (req, res) => {
+    let filters;
+    try {
+      filters = ledgerFilters(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid from/to date' });
+    }
+
+    try {
+      const records = await ledger.query(filters);
+      const totals = ledger.sumGasByChain(records).map(total => {
+        const chain = chains[total.chainId] || { name: 'Unknown', symbol: '', decimals: 18 };
+        return {
+          chainId: total.chainId,
+          chainName: chain.name,
+          transactions: total.transactions,
+          gasUsed: total.gasUsed.toString(),
+          gasCost: total.gasCost.toString(),
+          formattedGasCost: `${formatTokenAmount(total.gasCost, chain.decimals)} ${chain.symbol}`
+        };
+      });
+      res.json({ chains: totals });
+    } catch (error) {
+      req.log.error('Error reading ledger:', error);
+      res.status(500).json({ error: 'Failed to read ledger' });
+    }
+  });
+
+  // Webhook delivery stats and dead-lettered events (from/to filter by when delivery gave up)
+  router.get('/api/admin/webhooks', requireAdminToken(adminToken), async (req, res) => {
+    let filters;
+    try {
+      filters = ledgerFilters(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid from/to date' });
+    }
+
+    try {
+      const deadLetters = await webhookDeadLetters.query({ from: filters.from, to: filters.to });
+      res.json({ ...webhooks.stats(), deadLetters });
+    } catch (error) {
+      req.log.error('Error reading webhook dead letters:', error);
+      res.status(500).json({ error: 'Failed to read webhook dead letters' });
+    }
+  });
+
+  // Deliver a dead-lettered event again, with its original event ID
+  router.post('/api/admin/webhooks/redeliver', requireAdminToken(adminToken), validateBody('redeliverWebhook'), async (req, res) => {
+    const { eventId, url } = req.body;
+
+    try {
+      const records = await webhookDeadLetters.query();
+      const matching = records.filter(record => record.eventId === eventId && (!url || record.url === url));
+      if (!matching.length) return res.status(404).json({ error: 'Dead-lettered event not found' });
+
+      const redelivered = matching.filter(record => webhooks.redeliver(record)).map(record => record.url);
+      res.status(202).json({ eventId, redelivered });
+    } catch (error) {
+      req.log.error('Error redelivering webhook:', error);
+      res.status(500).json({ error: 'Failed to redeliver webhook' });
+    }
+  });
+
+  // Session for the bundled web app, in place of an API key (only for requests from this site)
+  router.post('/api/session', (req, res) => {
+    if (!isSameOrigin(req)) {
+      return sendError(res, codedError('FORBIDDEN', 'Sessions are only available to this site, use an API key'));
+    }
+    res.json(webSessions.issue());
+  });
+
+  // Public client configuration for the web app
+  router.get('/api/config', (req, res) => {
+    res.json({ nonCustodial });
+  });
+
+  // Health check
+  router.get('/api/health', (req, res) => {
+    res.json({ status: 'ok', service: 'Redeem Base API' });
+  });
+
+  // OpenAPI document of every route
+  router.get('/api/openapi.json', (req, res) => {
+    res.json(apiSchema.document);
+  });
+
+  // API documentation, rendered from the OpenAPI document
+  const apiDocsPage = renderApiDocs(apiSchema.document);
+  router.get('/api', (req, res) => {
+    res.send(apiDocsPage);
+  });
+
+  // The former per-endpoint documentation pages now link into the docs page
+  for (const [docsPath, operationId] of [
+    ['/api/card-info', 'getCardInfo'],
+    ['/api/verify-secret', 'verifySecret'],
+    ['/api/redeem', 'redeem'],
+    ['/api/redeem/batch', 'redeemBatch']
+  ]) {
+    router.get(docsPath, (req, res) => res.redirect(`${req.baseUrl}/api#${operationId}`));
+  }
+
+  // Prometheus metrics
+  router.get('/metrics', requireMetricsToken(metricsToken), (req, res) => {
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+  });
+
+  router.start = core.start;
+  router.stop = core.stop;
+
+  return router;
+}
+
+module.exports = {
+  createRedeemRouter
+};
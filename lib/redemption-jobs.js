@@ -0,0 +1,110 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+// Redemption stages in the order they are reported; "unconfirmed" is a transaction that is still
+// pending after the timeout and may yet be mined, so the card stays locked until it settles
+const STAGES = ['queued', 'validated', 'signed', 'submitted', 'mined', 'unconfirmed', 'confirmed', 'failed'];
+const TERMINAL_STAGES = ['confirmed', 'failed'];
+
+// In-memory store of redemption jobs with per-job stage events.
+// Finished jobs are kept for retentionMs so clients can still poll their outcome.
+// At most one job per card is in flight at a time. onAdvance(entry, job) is called on every
+// stage transition, for listeners that follow all jobs rather than one.
+function createJobStore({ retentionMs = 60 * 60 * 1000, onAdvance = () => {} } = {}) {
+  const jobs = new Map();
+  const inFlightByCard = new Map();
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  // Public view of a job (never includes the card secret)
+  function toJSON(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      cardId: job.cardId,
+      chainId: job.chainId,
+      recipientAddress: job.recipientAddress,
+      txHash: job.txHash,
+      confirmations: job.confirmations,
+      result: job.result,
+      error: job.error,
+      errorCode: job.errorCode,
+      requestId: job.requestId,
+      stages: job.stages,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt
+    };
+  }
+
+  // Create a job, or return null when a redemption for the card is already in flight.
+  // requestId is the ID of the HTTP request that started it, for matching up logs.
+  function create({ cardId, recipientAddress, client = null, requestId = null }) {
+    if (inFlightByCard.has(cardId)) return null;
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      cardId,
+      chainId: null,
+      recipientAddress,
+      client,
+      requestId,
+      txHash: null,
+      confirmations: 0,
+      result: null,
+      error: null,
+      errorCode: null,
+      stages: [{ stage: 'queued', at: now }],
+      createdAt: now,
+      updatedAt: now
+    };
+    jobs.set(job.id, job);
+    inFlightByCard.set(cardId, job.id);
+    return job;
+  }
+
+  // Record a stage transition; data fields are merged into the job and the stage entry
+  function advance(id, stage, data = {}) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (!STAGES.includes(stage)) throw new Error(`Unknown redemption stage: ${stage}`);
+    if (TERMINAL_STAGES.includes(job.status)) return job;
+
+    const now = new Date().toISOString();
+    const entry = { stage, at: now, ...data };
+    Object.assign(job, data, { status: stage, updatedAt: now });
+    job.stages.push(entry);
+
+    events.emit(id, entry, toJSON(job));
+    onAdvance(entry, job);
+
+    if (TERMINAL_STAGES.includes(stage)) {
+      if (inFlightByCard.get(job.cardId) === id) inFlightByCard.delete(job.cardId);
+      setTimeout(() => jobs.delete(id), retentionMs).unref();
+    }
+    return job;
+  }
+
+  function get(id) {
+    return jobs.get(id) || null;
+  }
+
+  // Subscribe to stage events of a job; returns an unsubscribe function
+  function subscribe(id, listener) {
+    events.on(id, listener);
+    return () => events.off(id, listener);
+  }
+
+  function isTerminal(job) {
+    return TERMINAL_STAGES.includes(job.status);
+  }
+
+  return { create, advance, get, subscribe, isTerminal, toJSON };
+}
+
+module.exports = {
+  STAGES,
+  TERMINAL_STAGES,
+  createJobStore
+};
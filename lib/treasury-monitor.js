@@ -0,0 +1,100 @@
+const { ethers } = require('ethers');
+
+// Read per-chain balance thresholds from TREASURY_LOW_BALANCE_<chainId> (alert) and
+// TREASURY_MIN_BALANCE_<chainId> (disable redemptions), in native units, falling back
+// to the lowBalance/minBalance defaults in the chain config
+function treasuryThresholdsFromEnv(env, chains) {
+  const thresholds = {};
+  for (const [chainId, chain] of Object.entries(chains)) {
+    const low = env[`TREASURY_LOW_BALANCE_${chainId}`] || chain.lowBalance;
+    const min = env[`TREASURY_MIN_BALANCE_${chainId}`] || chain.minBalance;
+    thresholds[chainId] = {
+      lowBalance: low ? ethers.utils.parseEther(String(low)) : null,
+      minBalance: min ? ethers.utils.parseEther(String(min)) : null
+    };
+  }
+  return thresholds;
+}
+
+// Background monitor of the service wallet's native balance on every chain.
+// A chain whose balance drops below its minimum is marked unavailable until it is
+// topped up; crossing the low-balance threshold fires onAlert once per dip.
+function createTreasuryMonitor({ chains, getProvider, address, thresholds = {}, intervalMs = 5 * 60 * 1000, onAlert = () => {} }) {
+  const state = {};
+  let timer = null;
+
+  async function check(chainId) {
+    const chain = chains[chainId];
+    const { lowBalance = null, minBalance = null } = thresholds[chainId] || {};
+    const previous = state[chainId] || {};
+
+    try {
+      const balance = await getProvider(chainId).getBalance(address);
+      const low = lowBalance !== null && balance.lt(lowBalance);
+      const available = minBalance === null || balance.gte(minBalance);
+
+      state[chainId] = { balance, low, available, checkedAt: new Date().toISOString(), error: null };
+
+      if (low && !previous.low) {
+        onAlert({ type: 'low_balance', chainId: Number(chainId), chainName: chain.name, balance, lowBalance, available });
+      } else if (!low && previous.low) {
+        onAlert({ type: 'balance_recovered', chainId: Number(chainId), chainName: chain.name, balance, lowBalance, available });
+      }
+    } catch (error) {
+      // Keep the last known balance and availability when the RPC is unreachable
+      state[chainId] = { ...previous, checkedAt: new Date().toISOString(), error: error.message };
+    }
+    return state[chainId];
+  }
+
+  async function checkAll() {
+    await Promise.all(Object.keys(chains).map(check));
+  }
+
+  function start() {
+    if (timer) return;
+    checkAll();
+    timer = setInterval(checkAll, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  // Whether the service wallet can currently pay for redemptions on chainId (unknown counts as available)
+  function isAvailable(chainId) {
+    const entry = state[chainId];
+    return !entry || entry.available !== false;
+  }
+
+  // Balances and thresholds per chain for the admin API
+  function getStatus() {
+    return Object.entries(chains).map(([chainId, chain]) => {
+      const entry = state[chainId] || {};
+      const { lowBalance = null, minBalance = null } = thresholds[chainId] || {};
+      const format = value => (value ? ethers.utils.formatUnits(value, chain.decimals) : null);
+      return {
+        chainId: Number(chainId),
+        chainName: chain.name,
+        symbol: chain.symbol,
+        balance: entry.balance ? entry.balance.toString() : null,
+        formattedBalance: format(entry.balance),
+        lowBalance: format(lowBalance),
+        minBalance: format(minBalance),
+        low: Boolean(entry.low),
+        available: isAvailable(chainId),
+        checkedAt: entry.checkedAt || null,
+        error: entry.error || null
+      };
+    });
+  }
+
+  return { start, stop, check, checkAll, isAvailable, getStatus };
+}
+
+module.exports = {
+  treasuryThresholdsFromEnv,
+  createTreasuryMonitor
+};
@@ -0,0 +1,164 @@
+const { ethers } = require('ethers');
+
+// Errors that mean our local nonce view is out of date
+function isNonceError(error) {
+  const message = (error.error && error.error.message) || error.message || '';
+  return error.code === ethers.errors.NONCE_EXPIRED ||
+    error.code === ethers.errors.REPLACEMENT_UNDERPRICED ||
+    /nonce too low|nonce has already been used|already known|replacement transaction underpriced/i.test(message);
+}
+
+// Errors where the transaction may or may not have reached the node
+function isAmbiguousError(error) {
+  return error.code === ethers.errors.TIMEOUT ||
+    error.code === ethers.errors.NETWORK_ERROR ||
+    error.code === ethers.errors.SERVER_ERROR;
+}
+
+// Per-chain transaction sender for the shared service wallet.
+// Sends are serialized per chain and nonces are tracked locally, so concurrent
+// redemptions never race for the same nonce. The local view is resynced from the
+// node's pending count on startup, after nonce errors and every resyncIntervalMs;
+// tracked transactions the node has dropped are rebroadcast, and nonces that
+// cannot be recovered are reused to fill the gap.
+function createTransactionSender({ getProvider, signer, resyncIntervalMs = 30000, logger = console }) {
+  const chains = new Map();
+
+  function getState(chainId) {
+    const key = String(chainId);
+    if (!chains.has(key)) {
+      chains.set(key, {
+        chainId: Number(chainId),
+        wallet: signer.connect(getProvider(chainId)),
+        floor: null, // node's pending nonce at the last sync
+        inFlight: new Map(), // nonce -> { hash, raw, sentAt }
+        lastSyncAt: 0,
+        needsSync: true,
+        queue: Promise.resolve()
+      });
+    }
+    return chains.get(key);
+  }
+
+  // Run fn exclusively for a chain
+  function withLock(state, fn) {
+    const run = state.queue.then(fn, fn);
+    state.queue = run.catch(() => {});
+    return run;
+  }
+
+  // Reconcile local nonce tracking with the node
+  async function sync(state) {
+    const provider = state.wallet.provider;
+    const [latest, pending] = await Promise.all([
+      state.wallet.getTransactionCount('latest'),
+      state.wallet.getTransactionCount('pending')
+    ]);
+
+    // Forget transactions that have been mined
+    for (const nonce of state.inFlight.keys()) {
+      if (nonce < latest) state.inFlight.delete(nonce);
+    }
+
+    // Tracked transactions at or above the pending count are missing from the node's
+    // contiguous pending set - rebroadcast them, and free the nonce if that fails
+    const missing = [...state.inFlight.keys()].filter(nonce => nonce >= pending).sort((a, b) => a - b);
+    for (const nonce of missing) {
+      const entry = state.inFlight.get(nonce);
+      try {
+        await provider.sendTransaction(entry.raw);
+        logger.warn(`Rebroadcast dropped transaction ${entry.hash} (chain ${state.chainId}, nonce ${nonce})`);
+      } catch (error) {
+        if (/already known/i.test(error.message || '')) continue;
+        logger.warn(`Dropped transaction ${entry.hash} (chain ${state.chainId}, nonce ${nonce}) could not be rebroadcast, reusing its nonce`);
+        state.inFlight.delete(nonce);
+      }
+    }
+
+    state.floor = pending;
+    state.lastSyncAt = Date.now();
+    state.needsSync = false;
+  }
+
+  // Lowest nonce that is neither mined nor held by a tracked transaction
+  function nextNonce(state) {
+    let nonce = state.floor;
+    while (state.inFlight.has(nonce)) nonce++;
+    return nonce;
+  }
+
+  async function signAndSend(state, txRequest) {
+    const nonce = nextNonce(state);
+    const populated = await state.wallet.populateTransaction({ ...txRequest, nonce });
+    const raw = await state.wallet.signTransaction(populated);
+    const tx = await state.wallet.provider.sendTransaction(raw);
+    state.inFlight.set(nonce, { hash: tx.hash, raw, sentAt: Date.now() });
+    return tx;
+  }
+
+  // Sign and broadcast txRequest from the service wallet on chainId
+  function sendTransaction(chainId, txRequest) {
+    const state = getState(chainId);
+    return withLock(state, async () => {
+      if (state.needsSync || Date.now() - state.lastSyncAt > resyncIntervalMs) {
+        await sync(state);
+      }
+
+      try {
+        return await signAndSend(state, txRequest);
+      } catch (error) {
+        if (isNonceError(error)) {
+          // Someone else used our nonce (another process, a manual transaction) - resync and retry once
+          await sync(state);
+          return signAndSend(state, txRequest);
+        }
+        if (isAmbiguousError(error)) {
+          state.needsSync = true;
+        }
+        throw error;
+      }
+    });
+  }
+
+  // Replace a tracked, not yet mined transaction with txRequest at the same nonce (to speed it
+  // up with higher fees); the replacement is what gets rebroadcast from then on
+  function replaceTransaction(chainId, nonce, txRequest) {
+    const state = getState(chainId);
+    return withLock(state, async () => {
+      const populated = await state.wallet.populateTransaction({ ...txRequest, nonce });
+      const raw = await state.wallet.signTransaction(populated);
+      const tx = await state.wallet.provider.sendTransaction(raw);
+      state.inFlight.set(nonce, { hash: tx.hash, raw, sentAt: Date.now() });
+      return tx;
+    });
+  }
+
+  // Service wallet connected to the chain's provider (for gas estimates and calls)
+  function getWallet(chainId) {
+    return getState(chainId).wallet;
+  }
+
+  // Resync nonces from the node for the given chains (used on startup)
+  async function resync(chainIds) {
+    await Promise.all(chainIds.map(async chainId => {
+      const state = getState(chainId);
+      try {
+        await withLock(state, () => sync(state));
+      } catch (error) {
+        logger.error(`Failed to sync service wallet nonce on chain ${chainId}:`, error.message);
+      }
+    }));
+  }
+
+  // Locally tracked, not yet mined transactions per chain
+  function getPending(chainId) {
+    const state = getState(chainId);
+    return [...state.inFlight.entries()].map(([nonce, entry]) => ({ nonce, hash: entry.hash, sentAt: entry.sentAt }));
+  }
+
+  return { sendTransaction, replaceTransaction, getWallet, resync, getPending };
+}
+
+module.exports = {
+  createTransactionSender
+};
@@ -0,0 +1,301 @@
+const { ethers } = require('ethers');
+const { codedError } = require('./error-codes');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Fee fields of a transaction request, for bumping
+function feesOf(txRequest) {
+  return txRequest.maxFeePerGas
+    ? { type: 2, maxFeePerGas: txRequest.maxFeePerGas, maxPriorityFeePerGas: txRequest.maxPriorityFeePerGas }
+    : { type: 0, gasPrice: txRequest.gasPrice };
+}
+
+// Watches service wallet transactions until they reach their chain's confirmation depth.
+// A transaction pending for stuckAfterMs is replaced at the same nonce with bumped fees (within
+// the fee caps, at most maxReplacements times); a receipt that disappears or moves to another
+// block is a reorg and the transaction is watched again; a nonce used by a transaction we did
+// not send means ours was dropped. A transaction still pending after timeoutMs is reported once
+// and no longer sped up, but watched until a receipt or its nonce settles it, since it may still
+// be mined. Records stay queryable for retentionMs after they finish.
+function createTransactionTracker({
+  chains,
+  txSender,
+  feeStrategy,
+  minConfirmations = 1,
+  pollIntervalMs = 4000,
+  stuckAfterMs = 2 * 60 * 1000,
+  maxReplacements = 3,
+  timeoutMs = 30 * 60 * 1000,
+  retentionMs = 24 * 60 * 60 * 1000,
+  logger = console
+}) {
+  // `${chainId}:${hash}` -> record, for every hash a tracked transaction was sent with
+  const records = new Map();
+
+  const keyOf = (chainId, hash) => `${chainId}:${hash.toLowerCase()}`;
+
+  // Blocks a redemption on chainId waits for
+  function requiredConfirmations(chainId) {
+    return Math.max(minConfirmations, chains[chainId].confirmations || 1);
+  }
+
+  // Public view of a tracked transaction, as seen through one of its hashes
+  function toJSON(record, hash = record.hash) {
+    const replaced = hash.toLowerCase() !== record.hash.toLowerCase();
+    return {
+      chainId: record.chainId,
+      hash,
+      status: replaced && record.status !== 'dropped' ? 'replaced' : record.status,
+      replacedBy: replaced ? record.hash : null,
+      nonce: record.nonce,
+      from: record.from,
+      to: record.to,
+      input: record.input,
+      hashes: record.hashes,
+      blockNumber: record.blockNumber,
+      blockHash: record.blockHash,
+      confirmations: record.confirmations,
+      requiredConfirmations: record.requiredConfirmations,
+      reorgs: record.reorgs,
+      error: record.error,
+      submittedAt: record.submittedAt,
+      updatedAt: record.updatedAt
+    };
+  }
+
+  function update(record, data) {
+    Object.assign(record, data, { updatedAt: new Date().toISOString() });
+  }
+
+  function finish(record, data) {
+    update(record, data);
+    setTimeout(() => record.hashes.forEach(hash => records.delete(keyOf(record.chainId, hash))), retentionMs).unref();
+  }
+
+  // Receipt of whichever of the record's transactions was mined, newest first
+  async function findReceipt(record, provider) {
+    for (const hash of [...record.hashes].reverse()) {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt && receipt.blockNumber) return receipt;
+    }
+    return null;
+  }
+
+  // Resend the transaction at its nonce with bumped fees; false when the caps or the gas budget
+  // do not allow it
+  async function replace(record, state) {
+    const provider = txSender.getWallet(record.chainId).provider;
+    const fees = await feeStrategy.bumpFees(record.chainId, state.fees, provider);
+    if (!fees) return false;
+    try {
+      const cost = feeStrategy.checkGasCost({ chainId: record.chainId, gasLimit: state.request.gasLimit, fees, card: state.card });
+      state.reserveGas(cost);
+    } catch (error) {
+      if (error.code === 'GAS_TOO_EXPENSIVE' || error.code === 'GAS_BUDGET_EXCEEDED') return false;
+      throw error;
+    }
+
+    const previous = record.hash;
+    const tx = await txSender.replaceTransaction(record.chainId, record.nonce, { ...state.request, ...fees });
+    state.fees = fees;
+    record.hashes.push(tx.hash);
+    records.set(keyOf(record.chainId, tx.hash), record);
+    update(record, { hash: tx.hash });
+    logger.warn(`Replaced stuck transaction ${previous} with ${tx.hash} (chain ${record.chainId}, nonce ${record.nonce})`);
+    return tx;
+  }
+
+  // Poll until the transaction (or one of its replacements) has the required confirmations
+  async function watch(record, state, { onReplaced, onMined, onReorg, onTimeout }) {
+    const provider = txSender.getWallet(record.chainId).provider;
+    const deadline = Date.now() + timeoutMs;
+    let lastSentAt = Date.now();
+    let timedOut = false;
+
+    for (;;) {
+      await sleep(pollIntervalMs);
+
+      if (!timedOut && Date.now() > deadline && record.status !== 'mined') {
+        timedOut = true;
+        logger.warn(`Transaction ${record.hash} (chain ${record.chainId}) is not confirmed after ${Math.round(timeoutMs / 60000)} minutes; still watching it`);
+        onTimeout(record);
+      }
+
+      let receipt;
+      try {
+        receipt = await findReceipt(record, provider);
+      } catch (error) {
+        // The node is unreachable for now; keep watching
+        continue;
+      }
+
+      if (!receipt) {
+        if (record.status === 'mined') {
+          logger.warn(`Transaction ${record.hash} (chain ${record.chainId}) was reorged out of block ${record.blockNumber}`);
+          update(record, { status: 'pending', blockNumber: null, blockHash: null, confirmations: 0, reorgs: record.reorgs + 1 });
+          lastSentAt = Date.now();
+          onReorg(record);
+          continue;
+        }
+
+        // Our nonce was used without any of our transactions being mined: something else replaced it
+        let dropped;
+        try {
+          const minedNonce = await provider.getTransactionCount(record.from, 'latest');
+          dropped = minedNonce > record.nonce && !(await findReceipt(record, provider));
+        } catch (error) {
+          continue;
+        }
+        if (dropped) {
+          throw codedError('TRANSACTION_DROPPED', 'The redemption transaction was dropped because another transaction used its nonce, please try again');
+        }
+
+        if (!timedOut && Date.now() - lastSentAt > stuckAfterMs && state.replacements < maxReplacements) {
+          lastSentAt = Date.now();
+          try {
+            const previous = record.hash;
+            const tx = await replace(record, state);
+            if (tx) {
+              state.replacements++;
+              onReplaced(tx, previous);
+            } else {
+              // Cannot pay more right now; make sure the node still has the transaction
+              logger.warn(`Transaction ${record.hash} (chain ${record.chainId}) is stuck and cannot be sped up within the gas caps and budget`);
+              await txSender.resync([record.chainId]);
+            }
+          } catch (error) {
+            // Usually the original was mined meanwhile ("nonce too low"); the next poll finds it
+            logger.warn(`Could not replace transaction ${record.hash} (chain ${record.chainId}):`, error.message);
+          }
+        }
+        continue;
+      }
+
+      if (receipt.blockHash !== record.blockHash) {
+        if (record.blockHash) {
+          logger.warn(`Transaction ${receipt.transactionHash} (chain ${record.chainId}) moved from block ${record.blockNumber} to ${receipt.blockNumber} in a reorg`);
+          update(record, { reorgs: record.reorgs + 1 });
+        }
+        update(record, { status: 'mined', hash: receipt.transactionHash, blockNumber: receipt.blockNumber, blockHash: receipt.blockHash });
+
+        if (receipt.status === 0) {
+          // Same shape as the error of ethers' tx.wait(), so it classifies the same way
+          const error = new Error('transaction failed');
+          error.code = ethers.errors.CALL_EXCEPTION;
+          error.reason = 'transaction failed';
+          error.transactionHash = receipt.transactionHash;
+          error.receipt = receipt;
+          throw error;
+        }
+        onMined(receipt);
+      }
+
+      let head;
+      try {
+        head = await provider.getBlockNumber();
+      } catch (error) {
+        continue;
+      }
+      update(record, { confirmations: Math.max(head - receipt.blockNumber + 1, 1) });
+      if (record.confirmations >= record.requiredConfirmations) {
+        return receipt;
+      }
+    }
+  }
+
+  // Track a transaction sent from the service wallet with txRequest until it is confirmed;
+  // resolves with its receipt or rejects when it fails or is dropped. Callbacks:
+  // onReplaced(tx, previousHash) after a speed-up, onMined(receipt) when it (re-)enters a
+  // block, onReorg(record) when it leaves one again, onTimeout(record) once when it is still
+  // pending after timeoutMs. card is used to keep bumped gas costs within the card's limits,
+  // and reserveGas(cost) is called with the worst-case cost of a speed-up before it is sent
+  // (throwing GAS_BUDGET_EXCEEDED to skip it).
+  async function track(chainId, tx, {
+    txRequest,
+    card,
+    reserveGas = () => {},
+    onReplaced = () => {},
+    onMined = () => {},
+    onReorg = () => {},
+    onTimeout = () => {}
+  }) {
+    const now = new Date().toISOString();
+    const record = {
+      chainId: Number(chainId),
+      hash: tx.hash,
+      hashes: [tx.hash],
+      nonce: tx.nonce,
+      from: tx.from,
+      to: tx.to,
+      input: tx.data,
+      status: 'pending',
+      blockNumber: null,
+      blockHash: null,
+      confirmations: 0,
+      requiredConfirmations: requiredConfirmations(chainId),
+      reorgs: 0,
+      error: null,
+      submittedAt: now,
+      updatedAt: now
+    };
+    records.set(keyOf(chainId, tx.hash), record);
+
+    const { gasPrice, maxFeePerGas, maxPriorityFeePerGas, type, ...request } = txRequest;
+    const state = { request, card, reserveGas, fees: feesOf(txRequest), replacements: 0 };
+
+    try {
+      const receipt = await watch(record, state, { onReplaced, onMined, onReorg, onTimeout });
+      finish(record, { status: 'confirmed' });
+      return receipt;
+    } catch (error) {
+      finish(record, { status: error.code === 'TRANSACTION_DROPPED' ? 'dropped' : 'failed', error: error.message });
+      throw error;
+    }
+  }
+
+  // Status of a service wallet transaction by any of its hashes: from the tracker while it is
+  // watched (and for retentionMs after), otherwise looked up on chain. Null for unknown hashes
+  // and transactions from other senders.
+  async function lookup(chainId, hash) {
+    const record = records.get(keyOf(chainId, hash));
+    if (record) return toJSON(record, hash);
+
+    const wallet = txSender.getWallet(chainId);
+    const tx = await wallet.provider.getTransaction(hash);
+    if (!tx || tx.from.toLowerCase() !== wallet.address.toLowerCase()) return null;
+
+    const receipt = tx.blockNumber ? await wallet.provider.getTransactionReceipt(hash) : null;
+    const confirmations = receipt ? Math.max(await wallet.provider.getBlockNumber() - receipt.blockNumber + 1, 1) : 0;
+    const required = requiredConfirmations(chainId);
+    let status = 'pending';
+    if (receipt) {
+      status = receipt.status === 0 ? 'failed' : confirmations >= required ? 'confirmed' : 'mined';
+    }
+
+    return {
+      chainId: Number(chainId),
+      hash: tx.hash,
+      status,
+      replacedBy: null,
+      nonce: tx.nonce,
+      from: tx.from,
+      to: tx.to,
+      input: tx.data,
+      hashes: [tx.hash],
+      blockNumber: receipt ? receipt.blockNumber : null,
+      blockHash: receipt ? receipt.blockHash : null,
+      confirmations,
+      requiredConfirmations: required,
+      reorgs: null,
+      error: receipt && receipt.status === 0 ? 'Transaction reverted' : null,
+      submittedAt: null,
+      updatedAt: null
+    };
+  }
+
+  return { track, lookup, requiredConfirmations };
+}
+
+module.exports = {
+  createTransactionTracker
+};
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Events that can be subscribed to
+const WEBHOOK_EVENTS = ['card.verified', 'redemption.submitted', 'redemption.unconfirmed', 'redemption.confirmed', 'redemption.failed'];
+
+// HMAC-SHA256 over "<timestamp>.<body>", sent as X-Redeem-Signature: sha256=<hex>
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function parseEvents(events) {
+  const list = Array.isArray(events) ? events : String(events || '*').split(',').map(s => s.trim()).filter(Boolean);
+  for (const event of list) {
+    if (event !== '*' && !WEBHOOK_EVENTS.includes(event)) {
+      throw new Error(`Unknown webhook event "${event}" (expected one of ${WEBHOOK_EVENTS.join(', ')})`);
+    }
+  }
+  return list;
+}
+
+// Read subscriptions from WEBHOOKS_CONFIG (a JSON array of { url, secret, events }) and/or
+// WEBHOOK_URL, WEBHOOK_SECRET and WEBHOOK_EVENTS (comma separated, default: all events)
+function webhookSubscriptionsFromEnv(env) {
+  let subscriptions = [];
+  if (env.WEBHOOKS_CONFIG) {
+    try {
+      subscriptions = JSON.parse(fs.readFileSync(env.WEBHOOKS_CONFIG, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read webhook config ${env.WEBHOOKS_CONFIG}: ${error.message}`);
+    }
+  }
+  if (env.WEBHOOK_URL) {
+    subscriptions.push({ url: env.WEBHOOK_URL, secret: env.WEBHOOK_SECRET, events: env.WEBHOOK_EVENTS });
+  }
+
+  return subscriptions.map(subscription => {
+    if (!subscription.url || !/^https?:\/\//.test(subscription.url)) {
+      throw new Error(`Webhook URL "${subscription.url}" must be an http(s) URL`);
+    }
+    if (!subscription.secret) {
+      throw new Error(`Webhook ${subscription.url} needs a signing secret`);
+    }
+    return { url: subscription.url, secret: subscription.secret, events: parseEvents(subscription.events) };
+  });
+}
+
+// Delivers events to every subscribed URL. Failed deliveries (network errors and non-2xx
+// responses) are retried with exponential backoff; after maxAttempts the delivery is passed
+// to onDeadLetter. Each event has a stable ID, so retried deliveries can be deduplicated.
+// Retry timers do not keep the process alive: call flush() before exiting.
+function createWebhookDispatcher({
+  subscriptions,
+  maxAttempts = 8,
+  baseDelayMs = 1000,
+  maxDelayMs = 60 * 60 * 1000,
+  timeoutMs = 10000,
+  onDeadLetter = () => {},
+  logger = console
+}) {
+  const stats = { delivered: 0, retried: 0, deadLettered: 0, pending: 0 };
+  const sending = new Set(); // attempts being posted
+  const retries = new Map(); // retry timer -> { subscription, event, attempt, error }
+  let flushing = false;
+
+  function retryDelay(attempt) {
+    return Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+  }
+
+  async function post(subscription, event, body) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Redeem-Event': event.type,
+        'X-Redeem-Event-Id': event.id,
+        'X-Redeem-Timestamp': String(timestamp),
+        'X-Redeem-Signature': signPayload(subscription.secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  }
+
+  function deadLetter(subscription, event, attempt, message) {
+    stats.deadLettered++;
+    stats.pending--;
+    logger.error(`Webhook ${event.type} (${event.id}) to ${subscription.url} failed after ${attempt} attempts:`, message);
+    return onDeadLetter({ eventId: event.id, type: event.type, url: subscription.url, attempts: attempt, error: message, event });
+  }
+
+  async function attemptDelivery(subscription, event, body, attempt) {
+    try {
+      await post(subscription, event, body);
+      stats.delivered++;
+      stats.pending--;
+    } catch (error) {
+      if (attempt >= maxAttempts || flushing) {
+        await deadLetter(subscription, event, attempt, error.message);
+        return;
+      }
+      stats.retried++;
+      const timer = setTimeout(() => {
+        retries.delete(timer);
+        deliver(subscription, event, body, attempt + 1);
+      }, retryDelay(attempt));
+      timer.unref();
+      retries.set(timer, { subscription, event, attempt, error: error.message });
+    }
+  }
+
+  function deliver(subscription, event, body, attempt) {
+    const delivery = attemptDelivery(subscription, event, body, attempt);
+    sending.add(delivery);
+    delivery.finally(() => sending.delete(delivery));
+  }
+
+  // Send an event to its subscribers in the background; returns the event
+  function emit(type, data) {
+    if (!WEBHOOK_EVENTS.includes(type)) throw new Error(`Unknown webhook event: ${type}`);
+
+    const event = { id: `evt_${crypto.randomUUID()}`, type, createdAt: new Date().toISOString(), data };
+    const body = JSON.stringify(event);
+    for (const subscription of subscriptions) {
+      if (!subscription.events.includes('*') && !subscription.events.includes(type)) continue;
+      stats.pending++;
+      deliver(subscription, event, body, 1);
+    }
+    return event;
+  }
+
+  // Deliver a dead-lettered event again (same event ID), e.g. after the receiver was fixed
+  function redeliver(record) {
+    const subscription = subscriptions.find(s => s.url === record.url);
+    if (!subscription) return false;
+    stats.pending++;
+    deliver(subscription, record.event, JSON.stringify(record.event), 1);
+    return true;
+  }
+
+  // Before exiting: wait for deliveries being posted and dead-letter those waiting for a retry,
+  // so none are lost. Failures from now on are dead-lettered instead of retried.
+  async function flush() {
+    flushing = true;
+    const records = [];
+    for (const [timer, { subscription, event, attempt, error }] of retries) {
+      clearTimeout(timer);
+      records.push(deadLetter(subscription, event, attempt, `${error} (not retried before shutdown)`));
+    }
+    retries.clear();
+    while (sending.size) await Promise.all(sending);
+    await Promise.all(records);
+  }
+
+  return { emit, redeliver, flush, stats: () => ({ ...stats, subscriptions: subscriptions.length }) };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  signPayload,
+  webhookSubscriptionsFromEnv,
+  createWebhookDispatcher
+};
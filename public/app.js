@@ -10,17 +10,173 @@ const redeemBtn = document.getElementById('redeemBtn');
 const backBtn = document.getElementById('backBtn');
 const newRedemptionBtn = document.getElementById('newRedemptionBtn');
 const errorMessage = document.getElementById('errorMessage');
+const errorText = document.getElementById('errorText');
+const errorCountdown = document.getElementById('errorCountdown');
+const errorDismissBtn = document.getElementById('errorDismissBtn');
 const cardInfo = document.getElementById('cardInfo');
 const successMessage = document.getElementById('successMessage');
+const redeemProgress = document.getElementById('redeemProgress');
+const batchStep = document.getElementById('batchStep');
+const batchModeLink = document.getElementById('batchModeLink');
+const batchCardsInput = document.getElementById('batchCards');
+const batchFileInput = document.getElementById('batchFile');
+const batchRecipientInput = document.getElementById('batchRecipient');
+const batchRedeemBtn = document.getElementById('batchRedeemBtn');
+const batchBackBtn = document.getElementById('batchBackBtn');
+const batchResults = document.getElementById('batchResults');
+const nonCustodialOption = document.getElementById('nonCustodialOption');
+const nonCustodialInput = document.getElementById('nonCustodial');
+const scanQrBtn = document.getElementById('scanQrBtn');
+const qrScanner = document.getElementById('qrScanner');
+const qrVideo = document.getElementById('qrVideo');
+const qrCancelBtn = document.getElementById('qrCancelBtn');
+const cardSecretHint = document.getElementById('cardSecretHint');
+const progressStatus = document.getElementById('progressStatus');
+const confirmDialog = document.getElementById('confirmDialog');
+const confirmTitle = document.getElementById('confirmTitle');
+const confirmBody = document.getElementById('confirmBody');
+const confirmOkBtn = document.getElementById('confirmOkBtn');
+const confirmAcknowledge = document.getElementById('confirmAcknowledge');
+const confirmAcknowledgeInput = document.getElementById('confirmAcknowledgeInput');
+const languageSelect = document.getElementById('languageSelect');
 
 let currentCardData = null;
+// Decrypted card key, kept in memory only in non-custodial mode
+let currentCardKey = null;
+// Server's non-custodial setting: off, optional or required
+let nonCustodialMode = 'off';
+
+// Redemption stages shown in step 3, in order (labels are progress.<stage> in the locale files)
+const PROGRESS_STAGES = ['validated', 'signed', 'submitted', 'mined', 'confirmed'];
+
+// Identifies this web app to the API for per-client fee settings
+// (X-Redeem-Session is added once the app has a session)
+const API_HEADERS = { 'Content-Type': 'application/json' };
+
+// Sessions last 12 hours; renew well before that for pages left open
+const SESSION_RENEW_MS = 6 * 60 * 60 * 1000;
+
+// The web app authenticates with a session from this site instead of an API key
+async function startSession() {
+    try {
+        const response = await fetch('/api/session', { method: 'POST', headers: API_HEADERS });
+        const session = await response.json();
+        if (response.ok) API_HEADERS['X-Redeem-Session'] = session.token;
+    } catch (error) {
+        // Requests will report the missing session
+    }
+}
+
+setInterval(startSession, SESSION_RENEW_MS);
+
+// Non-custodial mode decrypts and signs in the browser; the secret never leaves it
+function isNonCustodial() {
+    return nonCustodialMode === 'required' || (nonCustodialMode === 'optional' && nonCustodialInput.checked);
+}
+
+async function loadConfig() {
+    try {
+        const response = await fetch('/api/config');
+        const config = await response.json();
+        nonCustodialMode = config.nonCustodial;
+    } catch (error) {
+        nonCustodialMode = 'off';
+    }
+
+    if (nonCustodialMode === 'optional' && CardCrypto.isSupported()) {
+        nonCustodialOption.classList.remove('hidden');
+    }
+    if (nonCustodialMode === 'required') {
+        // Batch redemption sends secrets to the server
+        batchModeLink.parentElement.classList.add('hidden');
+    }
+}
+
+Promise.all([loadConfig(), startSession(), I18n.init()]).then(() => {
+    I18n.mountSwitcher(languageSelect);
+    openCardLink();
+});
+
+// Fill in card details from a link, QR code or pasted text; checks the card when both are present
+function fillCard({ cardId, cardSecret }) {
+    if (cardId) cardIdInput.value = cardId;
+    if (cardSecret) cardSecretInput.value = cardSecret;
+
+    if (cardIdInput.value.trim() && cardSecretInput.value.trim()) {
+        checkCardBtn.click();
+    } else {
+        (cardId ? cardSecretInput : cardIdInput).focus();
+    }
+}
+
+// Redemption links carry the card in the URL fragment; remove it from history once read
+function openCardLink() {
+    const card = CardLinks.fromLocation();
+    if (!card) return;
+    CardLinks.stripFromLocation();
+    fillCard(card);
+}
+
+// Card details pasted into the card ID field (a link, an export or "id,secret")
+cardIdInput.addEventListener('paste', (e) => {
+    const card = CardLinks.parse(e.clipboardData.getData('text'));
+    if (card && card.cardSecret) {
+        e.preventDefault();
+        fillCard(card);
+    }
+});
+
+// QR scanning
+let stopQrScan = null;
+
+if (QrScanner.isSupported()) {
+    scanQrBtn.classList.remove('hidden');
+}
+
+function closeQrScanner() {
+    if (stopQrScan) stopQrScan();
+    stopQrScan = null;
+    qrScanner.classList.add('hidden');
+    scanQrBtn.classList.remove('hidden');
+}
+
+scanQrBtn.addEventListener('click', async () => {
+    clearError();
+    qrScanner.classList.remove('hidden');
+    scanQrBtn.classList.add('hidden');
+
+    let rejected = false;
+    try {
+        stopQrScan = await QrScanner.start(qrVideo, (text) => {
+            const card = CardLinks.parse(text);
+            if (!card) {
+                // Keep scanning, but say once that this code is not a card
+                if (!rejected) showError(I18n.t('enterCard.notACardQr'));
+                rejected = true;
+                return;
+            }
+            closeQrScanner();
+            fillCard(card);
+        });
+    } catch (error) {
+        closeQrScanner();
+        showError(error.message);
+    }
+});
+
+qrCancelBtn.addEventListener('click', closeQrScanner);
 
 // Format card secret input - more user-friendly
 cardSecretInput.addEventListener('input', function(e) {
-    let value = e.target.value.replace(/[^A-Za-z-]/g, '').toUpperCase();
-    
-    // Remove existing hyphens for reformatting
-    let cleanValue = value.replace(/-/g, '');
+    // NFKC turns full-width letters (typed with CJK input methods) into A-Z
+    const value = e.target.value.normalize('NFKC').toUpperCase();
+
+    // Secrets only use A-Z; say so instead of silently dropping letters from other alphabets
+    const rejected = /[^A-Z\s-]/.test(value);
+    cardSecretHint.classList.toggle('hidden', !rejected);
+    cardSecretInput.setAttribute('aria-invalid', rejected ? 'true' : 'false');
+
+    let cleanValue = value.replace(/[^A-Z]/g, '');
     
     // Limit to 20 characters (without hyphens)
     if (cleanValue.length > 20) {
@@ -40,26 +196,105 @@ cardSecretInput.addEventListener('input', function(e) {
     
 });
 
-// Step navigation
+// Step navigation; focus moves to the new step's heading so screen readers announce it
 function showStep(stepNum) {
     document.querySelectorAll('.step').forEach(s => s.classList.remove('active'));
     document.querySelectorAll('.step-dot').forEach(d => d.classList.remove('active'));
     
-    document.getElementById(`step${stepNum}`).classList.add('active');
+    const step = document.getElementById(`step${stepNum}`);
+    step.classList.add('active');
     document.getElementById(`dot${stepNum}`).classList.add('active');
     
     // Mark previous steps as completed
     for (let i = 1; i < stepNum; i++) {
         document.getElementById(`dot${i}`).classList.add('completed');
     }
+
+    step.querySelector('h2').focus();
 }
 
-function showError(message) {
-    errorMessage.textContent = message;
+let errorTimer = null;
+let lockedOutUntil = 0;
+
+// Show an error until it is dismissed or the next action starts. The text is in an alert
+// region, so it is announced; lockouts (429 with retryAfter) show a countdown next to it,
+// keep the action buttons disabled and cannot be dismissed until they expire.
+function showError(message, { retryAfter } = {}) {
+    clearInterval(errorTimer);
+    errorText.textContent = message;
+    errorCountdown.textContent = '';
     errorMessage.classList.remove('hidden');
-    setTimeout(() => {
-        errorMessage.classList.add('hidden');
-    }, 5000);
+    errorDismissBtn.classList.toggle('hidden', Boolean(retryAfter));
+
+    if (!retryAfter) return;
+
+    const actionButtons = [checkCardBtn, redeemBtn, batchRedeemBtn];
+    lockedOutUntil = Date.now() + retryAfter * 1000;
+    actionButtons.forEach(button => { button.disabled = true; });
+
+    // The countdown is not part of the alert region, or it would be announced every second
+    const tick = () => {
+        const remaining = Math.ceil((lockedOutUntil - Date.now()) / 1000);
+        if (remaining <= 0) {
+            clearError();
+            actionButtons.forEach(button => { button.disabled = false; });
+            return;
+        }
+        const minutes = Math.floor(remaining / 60);
+        const seconds = String(remaining % 60).padStart(2, '0');
+        errorCountdown.textContent = `(${minutes}:${seconds})`;
+    };
+    tick();
+    errorTimer = setInterval(tick, 1000);
+}
+
+// Hide the error, unless a lockout is still running
+function clearError() {
+    if (Date.now() < lockedOutUntil) return;
+    clearInterval(errorTimer);
+    errorText.textContent = '';
+    errorCountdown.textContent = '';
+    errorMessage.classList.add('hidden');
+}
+
+errorDismissBtn.addEventListener('click', clearError);
+
+// An API error message in the current language: the locale's message for its code if it
+// has one, otherwise the API's (English) message
+function errorMessageFor(message, code) {
+    return code && I18n.has(`errorMessages.${code}`) ? I18n.t(`errorMessages.${code}`) : message;
+}
+
+// An error message followed by what the user can do about it, in the current language
+function describeError(message, code) {
+    message = errorMessageFor(message, code);
+    if (!code || !I18n.has(`guidance.${code}`)) return message;
+    return `${message.replace(/\.$/, '')}. ${I18n.t(`guidance.${code}`)}`;
+}
+
+// Text from the API or a card, for use in HTML (quotes too, for attribute values)
+function escapeHtml(value) {
+    const element = document.createElement('span');
+    element.textContent = value;
+    return element.innerHTML.replace(/"/g, '&quot;');
+}
+
+// Link from the API for an href: only http(s), escaped for the attribute
+function safeUrl(url) {
+    return /^https?:\/\//i.test(url) ? escapeHtml(url) : '#';
+}
+
+// Label for a status from the API, in the current language if the locale has one
+function statusLabel(group, status) {
+    return I18n.has(`${group}.${status}`) ? I18n.t(`${group}.${status}`) : status;
+}
+
+// Build an Error from an API error response, keeping its code and the lockout duration if any
+function apiError(data, fallback) {
+    const error = new Error(describeError(data.error || fallback, data.code));
+    error.code = data.code;
+    error.retryAfter = data.retryAfter;
+    return error;
 }
 
 function showLoading(button) {
@@ -68,7 +303,7 @@ function showLoading(button) {
 }
 
 function hideLoading(button) {
-    button.disabled = false;
+    button.disabled = Date.now() < lockedOutUntil;
     button.querySelector('.loading').classList.add('hidden');
 }
 
@@ -77,8 +312,9 @@ checkCardBtn.addEventListener('click', async () => {
     const cardId = cardIdInput.value.trim();
     const cardSecret = cardSecretInput.value.trim();
 
+    clearError();
     if (!cardId || !cardSecret) {
-        showError('Please enter both card ID and secret');
+        showError(I18n.t('enterCard.missingFields'));
         return;
     }
 
@@ -88,27 +324,40 @@ checkCardBtn.addEventListener('click', async () => {
         // Get card info
         const cardResponse = await fetch('/api/card-info', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: API_HEADERS,
             body: JSON.stringify({ cardId })
         });
 
         const cardData = await cardResponse.json();
 
         if (!cardResponse.ok) {
-            throw new Error(cardData.error || 'Failed to get card info');
+            throw apiError(cardData, I18n.t('enterCard.cardInfoFailed'));
         }
 
-        // Verify secret
-        const secretResponse = await fetch('/api/verify-secret', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ cardId, cardSecret })
-        });
+        if (isNonCustodial()) {
+            // Decrypt locally and make sure the key belongs to this card
+            if (!cardData.active) {
+                throw new Error(I18n.t('enterCard.cardInactive'));
+            }
+            const cardKey = await CardCrypto.decryptPrivateKey(cardData.encryptedPrivateKey, cardSecret);
+            const cardAddress = await CardCrypto.addressOf(cardKey);
+            if (cardAddress.toLowerCase() !== cardData.slotId.toLowerCase()) {
+                throw new Error(I18n.t('enterCard.invalidSecret'));
+            }
+            currentCardKey = cardKey;
+        } else {
+            // Verify secret
+            const secretResponse = await fetch('/api/verify-secret', {
+                method: 'POST',
+                headers: API_HEADERS,
+                body: JSON.stringify({ cardId, cardSecret })
+            });
 
-        const secretData = await secretResponse.json();
+            const secretData = await secretResponse.json();
 
-        if (!secretResponse.ok) {
-            throw new Error(secretData.error || 'Invalid card secret');
+            if (!secretResponse.ok) {
+                throw apiError(secretData, I18n.t('enterCard.invalidSecret'));
+            }
         }
 
         // Store card data and show step 2
@@ -117,78 +366,430 @@ checkCardBtn.addEventListener('click', async () => {
         showStep(2);
 
     } catch (error) {
-        showError(error.message);
+        showError(error.message, error);
     } finally {
         hideLoading(checkCardBtn);
     }
 });
 
+function formatFeeLine(fees) {
+    if (!fees.partnerFeePercent) return I18n.formatPercent(0);
+    return `${I18n.formatPercent(fees.partnerFeePercent)} (${I18n.formatAmount(fees.formattedPartnerFee)})`;
+}
+
 function displayCardInfo(card) {
     cardInfo.innerHTML = `
-        <h3>Card Details</h3>
-        <p><strong>Amount:</strong> ${card.formattedAmount}</p>
-        <p><strong>Network:</strong> ${card.chainName}</p>
-        <p><strong>Status:</strong> ${card.status}</p>
-        ${card.message ? `<p><strong>Message:</strong> "${card.message}"</p>` : ''}
-        <p><strong>Created:</strong> ${new Date(card.createdAt).toLocaleDateString()}</p>
+        <h3>${I18n.t('card.title')}</h3>
+        <p><strong>${I18n.t('card.amount')}</strong> ${escapeHtml(I18n.formatAmount(card.formattedAmount))}</p>
+        <p><strong>${I18n.t('card.fees')}</strong> ${escapeHtml(formatFeeLine(card.fees))}</p>
+        <p><strong>${I18n.t('card.youReceive')}</strong> ${escapeHtml(I18n.formatAmount(card.fees.formattedNetAmount))}</p>
+        <p><strong>${I18n.t('card.networkFee')}</strong> <span id="previewGas">${I18n.t('preview.estimating')}</span></p>
+        <p><strong>${I18n.t('card.network')}</strong> ${escapeHtml(card.chainName)}</p>
+        <p><strong>${I18n.t('card.status')}</strong> ${escapeHtml(statusLabel('card.statuses', card.status))}</p>
+        ${card.message ? `<p><strong>${I18n.t('card.message')}</strong> "${escapeHtml(card.message)}"</p>` : ''}
+        <p><strong>${I18n.t('card.created')}</strong> ${I18n.formatDate(card.createdAt)}</p>
+        ${card.redemptionAvailable ? '' : `<p class="warning">${escapeHtml(card.unavailableReason)}</p>`}
+        <p id="previewStatus" class="hidden" role="status"></p>
     `;
+    redeemBtn.disabled = !card.redemptionAvailable || Date.now() < lockedOutUntil;
+    refreshPreview();
+}
+
+// Simulation failures that mean redeeming now would fail on chain
+const PREVIEW_BLOCKING_CODES = ['CARD_INACTIVE', 'CARD_NOT_FOUND', 'CONTRACT_REVERTED', 'INVALID_SIGNATURE', 'INVALID_RECIPIENT', 'RECIPIENT_BLOCKED'];
+
+// Simulate the redemption on the server and show the gas it costs and whether it would succeed.
+// Without a recipient the server simulates a payout to its own wallet; in non-custodial mode the
+// signature covers the recipient, so the simulation waits until one is entered.
+let previewRequest = 0;
+async function loadPreview(recipientAddress) {
+    const request = ++previewRequest;
+    const gasText = document.getElementById('previewGas');
+    const status = document.getElementById('previewStatus');
+    const show = (gas, message, className) => {
+        if (request !== previewRequest || !gasText) return;
+        gasText.textContent = gas;
+        status.textContent = message;
+        status.className = message ? className : 'hidden';
+    };
+
+    const cardId = cardIdInput.value.trim();
+    const body = { cardId };
+    try {
+        if (currentCardKey) {
+            if (!recipientAddress) {
+                show(I18n.t('preview.needsRecipient'), '', '');
+                return;
+            }
+            body.recipientAddress = recipientAddress;
+            body.signature = await CardCrypto.signRedemption(currentCardKey, cardId, recipientAddress);
+        } else {
+            body.cardSecret = cardSecretInput.value.trim();
+            if (recipientAddress) body.recipientAddress = recipientAddress;
+        }
+
+        show(I18n.t('preview.estimating'), '', '');
+        const response = await fetch('/api/redeem/preview', {
+            method: 'POST',
+            headers: API_HEADERS,
+            body: JSON.stringify(body)
+        });
+        const preview = await response.json();
+        if (!response.ok) {
+            throw apiError(preview, I18n.t('preview.failed'));
+        }
+
+        const gas = preview.gas
+            ? I18n.t('preview.estimatedCost', { cost: I18n.formatAmount(preview.gas.formattedEstimatedCost) })
+            : I18n.t('preview.paidByService');
+        if (preview.wouldSucceed) {
+            if (preview.warnings.length) {
+                show(gas, preview.warnings.map(warning => `⚠️ ${recipientWarningText(warning)}`).join(' '), 'warning');
+            } else {
+                show(gas, I18n.t('preview.simulated'), 'success-note');
+            }
+            return;
+        }
+        show(gas, `⚠️ ${describeError(preview.error.message, preview.error.code)}`, 'warning');
+        if (request === previewRequest && PREVIEW_BLOCKING_CODES.includes(preview.error.code)) {
+            redeemBtn.disabled = true;
+        }
+    } catch (error) {
+        show(I18n.t('preview.paidByService'), I18n.t('preview.unavailable', { error: error.message }), 'warning');
+    }
+}
+
+// Simulate for the entered recipient, if any (resolution errors are reported when redeeming)
+async function refreshPreview() {
+    const recipient = recipientAddressInput.value.trim();
+    if (!currentCardData || !currentCardData.redemptionAvailable) return;
+    if (!recipient) {
+        loadPreview(null);
+        return;
+    }
+    try {
+        const resolution = await resolveRecipient(recipient);
+        if (recipientAddressInput.value.trim() === recipient) loadPreview(resolution.address);
+    } catch (error) {
+        // Shown by the redeem button
+    }
+}
+
+recipientAddressInput.addEventListener('change', refreshPreview);
+
+// Resolve a recipient address or ENS/Basename name on the server; with a card ID the server also
+// warns about risks of redeeming that card to it (such as a contract recipient)
+async function resolveRecipient(recipient, cardId = null) {
+    const response = await fetch('/api/resolve-recipient', {
+        method: 'POST',
+        headers: API_HEADERS,
+        body: JSON.stringify(cardId ? { recipient, cardId } : { recipient })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw apiError(data, I18n.t('recipient.resolveFailed'));
+    }
+    return data;
+}
+
+// "name (0x...)" when the recipient has a name, otherwise the address
+function formatRecipient(resolution) {
+    const name = resolution.name || resolution.reverseName;
+    return name ? `${name} (${resolution.address})` : resolution.address;
+}
+
+// A recipient warning from the server in the current language
+function recipientWarningText(warning) {
+    const key = `recipientWarnings.${warning.code}`;
+    if (!I18n.has(key)) return warning.message;
+    return I18n.t(key, { network: currentCardData ? currentCardData.chainName : '' });
+}
+
+// Ask for confirmation in a modal dialog; resolves to true when confirmed. The dialog traps
+// focus and closes with Escape; focus starts on Cancel and returns to where it was.
+// Warnings are shown above the buttons and must be acknowledged before confirming.
+function confirmAction({ title, lines, confirmLabel, warnings = [] }) {
+    const warningLines = warnings.map(warning => `⚠️ ${recipientWarningText(warning)}`);
+    if (!confirmDialog.showModal) {
+        return Promise.resolve(window.confirm([title, ...lines, ...warningLines].join('\n\n')));
+    }
+
+    confirmTitle.textContent = title;
+    const paragraph = (text, className) => {
+        const element = document.createElement('p');
+        element.textContent = text;
+        if (className) element.className = className;
+        return element;
+    };
+    confirmBody.replaceChildren(
+        ...lines.map(line => paragraph(line)),
+        ...warningLines.map(line => paragraph(line, 'warning'))
+    );
+    confirmOkBtn.textContent = confirmLabel;
+    confirmAcknowledge.classList.toggle('hidden', !warnings.length);
+    confirmAcknowledgeInput.checked = false;
+    confirmOkBtn.disabled = warnings.length > 0;
+
+    const opener = document.activeElement;
+    return new Promise((resolve) => {
+        confirmDialog.addEventListener('close', () => {
+            if (opener) opener.focus();
+            resolve(confirmDialog.returnValue === 'confirm');
+        }, { once: true });
+        confirmDialog.returnValue = '';
+        confirmDialog.showModal();
+        document.getElementById('confirmCancelBtn').focus();
+    });
+}
+
+confirmAcknowledgeInput.addEventListener('change', () => {
+    confirmOkBtn.disabled = !confirmAcknowledgeInput.checked;
+});
+
+// One idempotency key per card and recipient, so retries never start a second redemption
+let idempotencyKeyFor = null;
+function redemptionKey(recipientAddress) {
+    const target = `${cardIdInput.value.trim()}:${recipientAddress.toLowerCase()}`;
+    if (!idempotencyKeyFor || idempotencyKeyFor.target !== target) {
+        // crypto.randomUUID is only available in secure contexts
+        const key = window.crypto && crypto.randomUUID
+            ? crypto.randomUUID()
+            : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+        idempotencyKeyFor = { target, key };
+    }
+    return idempotencyKeyFor.key;
 }
 
 // Redeem card
 redeemBtn.addEventListener('click', async () => {
-    const recipientAddress = recipientAddressInput.value.trim();
+    const recipient = recipientAddressInput.value.trim();
 
-    if (!recipientAddress) {
-        showError('Please enter recipient address');
+    clearError();
+    if (!recipient) {
+        showError(I18n.t('recipient.missing'));
         return;
     }
 
-    // Confirmation popup
-    const confirmMessage = `Are you sure you want to redeem this ${currentCardData.formattedAmount} gift card?\n\nRecipient: ${recipientAddress}\nRedeem Base fees: 0%\n\nThis action cannot be undone.`;
-    
-    if (!confirm(confirmMessage)) {
+    // Resolve names first so the confirmation shows the exact address that will receive the funds
+    showLoading(redeemBtn);
+    let resolution;
+    try {
+        resolution = await resolveRecipient(recipient, cardIdInput.value.trim());
+    } catch (error) {
+        showError(error.message, error);
+        return;
+    } finally {
+        hideLoading(redeemBtn);
+    }
+    const recipientAddress = resolution.address;
+
+    const confirmed = await confirmAction({
+        title: I18n.t('redeem.confirmTitle'),
+        lines: [
+            I18n.t('redeem.confirmAmount', { amount: I18n.formatAmount(currentCardData.formattedAmount) }),
+            I18n.t('redeem.confirmRecipient', { recipient: formatRecipient(resolution) }),
+            I18n.t('redeem.confirmFees', { fees: formatFeeLine(currentCardData.fees) }),
+            I18n.t('redeem.confirmReceives', { amount: I18n.formatAmount(currentCardData.fees.formattedNetAmount) }),
+            I18n.t('redeem.cannotBeUndone')
+        ],
+        confirmLabel: I18n.t('redeem.confirm'),
+        warnings: resolution.warnings
+    });
+    if (!confirmed) {
         return;
     }
 
     showLoading(redeemBtn);
 
+    let job;
     try {
-        const response = await fetch('/api/redeem', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                cardId: cardIdInput.value.trim(),
-                cardSecret: cardSecretInput.value.trim(),
-                recipientAddress: recipientAddress
-            })
-        });
+        const cardId = cardIdInput.value.trim();
+        const headers = { ...API_HEADERS, 'Idempotency-Key': redemptionKey(recipientAddress) };
+        // The user ticked the warnings in the confirmation dialog; the server refuses them otherwise
+        const acknowledgeWarnings = resolution.warnings.length > 0;
+        let response;
 
-        const data = await response.json();
-
-        if (!response.ok) {
-            throw new Error(data.error || 'Failed to redeem card');
+        if (currentCardKey) {
+            // Non-custodial: sign here and only send the signature to the relay
+            const signature = await CardCrypto.signRedemption(currentCardKey, cardId, recipientAddress);
+            response = await fetch('/api/relay', {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ cardId, recipient: recipientAddress, signature, acknowledgeWarnings })
+            });
+        } else {
+            response = await fetch('/api/redeem', {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    cardId,
+                    cardSecret: cardSecretInput.value.trim(),
+                    recipientAddress: recipientAddress,
+                    acknowledgeWarnings
+                })
+            });
         }
 
-        // Show success
-        successMessage.innerHTML = `
-            <strong>🎉 Card Redeemed Successfully!</strong><br>
-            <p>Amount: ${data.amount}</p>
-            <p>Recipient: ${data.recipientAddress}</p>
-            ${currentCardData.message ? `<p>Message: "${currentCardData.message}"</p>` : ''}
-            <p>Redeem Base fees: 0%</p>
-            <a href="${data.explorerUrl}" target="_blank" class="tx-link">View Transaction →</a>
-        `;
-        showStep(3);
+        job = await response.json();
 
+        if (!response.ok) {
+            throw apiError(job, I18n.t('redeem.failed'));
+        }
     } catch (error) {
-        showError(error.message);
+        showError(error.message, error);
+        return;
     } finally {
         hideLoading(redeemBtn);
     }
+
+    // Follow the redemption job on step 3
+    redeemed = null;
+    successMessage.classList.add('hidden');
+    newRedemptionBtn.classList.add('hidden');
+    progressStatus.textContent = '';
+    renderProgress({ status: 'queued', stages: [] });
+    showStep(3);
+
+    const finalJob = await followRedemption(job);
+
+    if (finalJob.status === 'failed') {
+        // A failed job is final for its key - retrying needs a fresh one
+        idempotencyKeyFor = null;
+        showStep(2);
+        showError(describeError(finalJob.error || I18n.t('redeem.failed'), finalJob.errorCode));
+        return;
+    }
+
+    redeemed = { result: finalJob.result, resolution, message: currentCardData.message };
+    renderSuccess();
+    successMessage.classList.remove('hidden');
+    newRedemptionBtn.classList.remove('hidden');
+    successMessage.focus();
 });
 
+// The finished redemption shown on step 3, kept to re-render it in another language
+let redeemed = null;
+
+function renderSuccess() {
+    const { result: data, resolution, message } = redeemed;
+    successMessage.innerHTML = `
+        <strong>${I18n.t('success.title')}</strong><br>
+        <p>${I18n.t('success.amount', { amount: escapeHtml(I18n.formatAmount(data.amount)) })}</p>
+        <p>${I18n.t('success.recipient', { recipient: escapeHtml(formatRecipient({ ...resolution, address: data.recipientAddress })) })}</p>
+        ${message ? `<p>${I18n.t('success.message', { message: escapeHtml(message) })}</p>` : ''}
+        <p>${I18n.t('success.fees', { fees: escapeHtml(formatFeeLine(data.fees)) })}</p>
+        <p>${I18n.t('success.received', { amount: escapeHtml(I18n.formatAmount(data.fees.formattedNetAmount)) })}</p>
+        ${data.explorerUrl
+            ? `<a href="${safeUrl(data.explorerUrl)}" target="_blank" class="tx-link">${I18n.t('success.viewTransaction')}</a>`
+            : `<p>${I18n.t('success.transaction', { hash: escapeHtml(data.txHash) })}</p>`}
+        <a href="/tx/${encodeURIComponent(data.chainId)}/${encodeURIComponent(data.txHash)}" target="_blank" class="tx-link">${I18n.t('success.receipt')}</a>
+    `;
+}
+
+// The job shown on step 3, kept to re-render it in another language
+let progressJob = null;
+
+function renderProgress(job) {
+    progressJob = job;
+    // A sped-up or reorged transaction is submitted again; earlier "mined" stages no longer count
+    const lastSubmitted = job.stages.map(s => s.stage).lastIndexOf('submitted');
+    const reached = job.stages.filter((s, i) => s.stage !== 'mined' || i > lastSubmitted).map(s => s.stage);
+    const submitted = job.stages[lastSubmitted];
+    const failed = job.status === 'failed';
+    let currentMarked = false;
+    let announcement = '';
+
+    redeemProgress.innerHTML = PROGRESS_STAGES.map(stage => {
+        const label = I18n.t(`progress.${stage}`);
+        let state = '';
+        let detail = '';
+        if (reached.includes(stage)) {
+            state = 'done';
+            announcement = label;
+        } else if (!currentMarked) {
+            state = failed ? 'failed' : 'current';
+            currentMarked = true;
+        }
+        if (stage === 'submitted' && submitted) {
+            detail = submitted.explorerUrl
+                ? `<a href="${safeUrl(submitted.explorerUrl)}" target="_blank" class="detail">${escapeHtml(submitted.txHash)}</a>`
+                : `<span class="detail">${escapeHtml(submitted.txHash)}</span>`;
+            if (submitted.replacedTxHash) detail += `<span class="detail">${I18n.t('progress.spedUp')}</span>`;
+            if (submitted.reorged) detail += `<span class="detail">${I18n.t('progress.reorged')}</span>`;
+            if (job.status === 'unconfirmed') detail += `<span class="detail">${I18n.t('progress.unconfirmed')}</span>`;
+        }
+        if (stage === 'confirmed' && job.status === 'confirmed') {
+            detail = `<span class="detail">${I18n.t('progress.blocks', { count: job.confirmations })}</span>`;
+        }
+        if (state === 'failed') {
+            detail = `<span class="detail">${escapeHtml(errorMessageFor(job.error || I18n.t('progress.failed'), job.errorCode))}</span>`;
+            announcement = `${label}: ${I18n.t('progress.failed')}`;
+        }
+        return `<li class="${state}"${state === 'current' ? ' aria-current="step"' : ''}>${label}${detail}</li>`;
+    }).join('');
+
+    // Announce only changes, not every re-render
+    if (announcement && progressStatus.textContent !== announcement) {
+        progressStatus.textContent = announcement;
+    }
+}
+
+// Follow a redemption job until it is confirmed or failed, using server-sent events
+// and falling back to polling when the stream is unavailable
+function followRedemption(job) {
+    return new Promise((resolve) => {
+        const finish = (current) => {
+            renderProgress(current);
+            if (current.status === 'confirmed' || current.status === 'failed') {
+                resolve(current);
+                return true;
+            }
+            return false;
+        };
+
+        const poll = async () => {
+            try {
+                const response = await fetch(job.statusUrl);
+                const current = await response.json();
+                if (!response.ok) {
+                    resolve({ status: 'failed', error: current.error || I18n.t('redeem.lostTrack'), errorCode: current.code });
+                    return;
+                }
+                if (finish(current)) return;
+            } catch (error) {
+                // Network hiccup - keep polling
+            }
+            setTimeout(poll, 2000);
+        };
+
+        if (!window.EventSource) {
+            poll();
+            return;
+        }
+
+        const source = new EventSource(job.eventsUrl);
+        let done = false;
+        const onStage = (event) => {
+            const data = JSON.parse(event.data);
+            if (finish(data.job)) {
+                done = true;
+                source.close();
+            }
+        };
+        ['queued', ...PROGRESS_STAGES, 'unconfirmed', 'failed'].forEach(stage => {
+            source.addEventListener(stage, onStage);
+        });
+        source.onerror = () => {
+            source.close();
+            if (!done) poll();
+        };
+    });
+}
+
 // Back button
 backBtn.addEventListener('click', () => {
+    currentCardKey = null;
+    clearError();
     showStep(1);
 });
 
@@ -199,11 +800,167 @@ newRedemptionBtn.addEventListener('click', () => {
     cardSecretInput.value = '';
     recipientAddressInput.value = '';
     currentCardData = null;
+    currentCardKey = null;
+    idempotencyKeyFor = null;
+    redeemed = null;
+    progressJob = null;
+    showStep(1);
+});
+
+// Batch mode
+function showBatchMode() {
+    document.querySelectorAll('.step').forEach(s => s.classList.remove('active'));
+    document.querySelector('.step-indicator').classList.add('hidden');
+    batchStep.classList.add('active');
+    batchStep.querySelector('h2').focus();
+}
+
+batchModeLink.addEventListener('click', (e) => {
+    e.preventDefault();
+    showBatchMode();
+});
+
+batchBackBtn.addEventListener('click', () => {
+    clearError();
+    document.querySelector('.step-indicator').classList.remove('hidden');
     showStep(1);
 });
 
-// Enter key support
+// Load an uploaded CSV into the cards field
+batchFileInput.addEventListener('change', async () => {
+    const file = batchFileInput.files[0];
+    if (!file) return;
+    batchCardsInput.value = await file.text();
+});
+
+batchRedeemBtn.addEventListener('click', async () => {
+    const csv = batchCardsInput.value.trim();
+    const recipient = batchRecipientInput.value.trim();
+
+    clearError();
+    if (!csv || !recipient) {
+        showError(I18n.t('batch.missingFields'));
+        return;
+    }
+
+    showLoading(batchRedeemBtn);
+    let resolution;
+    try {
+        resolution = await resolveRecipient(recipient);
+    } catch (error) {
+        showError(error.message, error);
+        return;
+    } finally {
+        hideLoading(batchRedeemBtn);
+    }
+    const recipientAddress = resolution.address;
+
+    const cardCount = csv.split(/\r?\n/).filter(line => line.trim()).length;
+    const confirmBatch = (warnings = []) => confirmAction({
+        title: I18n.t('batch.confirmTitle'),
+        lines: [
+            I18n.t('batch.confirmCards', { count: cardCount, recipient: formatRecipient(resolution) }),
+            I18n.t('batch.confirmFees'),
+            I18n.t('redeem.cannotBeUndone')
+        ],
+        confirmLabel: I18n.t('batch.submit'),
+        warnings
+    });
+    if (!await confirmBatch()) {
+        return;
+    }
+
+    showLoading(batchRedeemBtn);
+
+    try {
+        const startBatch = acknowledgeWarnings => fetch('/api/redeem/batch', {
+            method: 'POST',
+            headers: API_HEADERS,
+            body: JSON.stringify({ csv, recipientAddress, acknowledgeWarnings })
+        });
+
+        let response = await startBatch(false);
+        let batch = await response.json();
+
+        // The recipient's warnings depend on the cards' chains, which only the server knows;
+        // show them and start again once the user has acknowledged them
+        if (response.status === 409 && batch.code === 'WARNINGS_NOT_ACKNOWLEDGED') {
+            hideLoading(batchRedeemBtn);
+            if (!await confirmBatch(batch.warnings)) {
+                return;
+            }
+            showLoading(batchRedeemBtn);
+            response = await startBatch(true);
+            batch = await response.json();
+        }
+
+        if (!response.ok) {
+            throw apiError(batch, I18n.t('batch.startFailed'));
+        }
+
+        // Poll the batch report until every card has finished
+        let report;
+        do {
+            await new Promise(resolve => setTimeout(resolve, 3000));
+            const reportResponse = await fetch(batch.statusUrl);
+            report = await reportResponse.json();
+            if (!reportResponse.ok) {
+                throw apiError(report, I18n.t('batch.lostTrack'));
+            }
+            displayBatchReport(report);
+        } while (!report.done);
+
+    } catch (error) {
+        showError(error.message, error);
+    } finally {
+        hideLoading(batchRedeemBtn);
+    }
+});
+
+// The last batch report, kept to re-render it in another language
+let batchReport = null;
+
+function displayBatchReport(report) {
+    batchReport = report;
+    const { summary } = report;
+    batchResults.innerHTML = `
+        <h3>${I18n.t(report.done ? 'batch.done' : 'batch.running')}</h3>
+        <p>${I18n.t('batch.summary', summary)}</p>
+        <table>
+            <thead>
+                <tr><th>${I18n.t('batch.card')}</th><th>${I18n.t('batch.network')}</th><th>${I18n.t('batch.amount')}</th><th>${I18n.t('batch.status')}</th></tr>
+            </thead>
+            <tbody>
+                ${report.results.map(result => `
+                    <tr>
+                        <td>${escapeHtml(result.cardId)}</td>
+                        <td>${result.chainName ? escapeHtml(result.chainName) : '-'}</td>
+                        <td>${result.amount ? escapeHtml(I18n.formatAmount(result.amount)) : '-'}</td>
+                        <td class="status-${escapeHtml(result.status)}">
+                            ${result.explorerUrl
+                                ? `<a href="${safeUrl(result.explorerUrl)}" target="_blank" class="tx-link">${escapeHtml(statusLabel('statuses', result.status))} →</a>`
+                                : escapeHtml(statusLabel('statuses', result.status))}
+                            ${result.error ? `<br><small>${escapeHtml(errorMessageFor(result.error, result.errorCode))}</small>` : ''}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+    batchResults.classList.remove('hidden');
+}
+
+// Re-render what is on screen after switching languages (static text is handled by I18n)
+I18n.onChange(() => {
+    if (currentCardData && step2.classList.contains('active')) displayCardInfo(currentCardData);
+    if (progressJob) renderProgress(progressJob);
+    if (redeemed) renderSuccess();
+    if (batchReport) displayBatchReport(batchReport);
+});
+
+// Enter key support; Enter on buttons, links and in the dialog keeps its own meaning
 document.addEventListener('keypress', (e) => {
+    if (confirmDialog.open || ['BUTTON', 'A', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
     if (e.key === 'Enter') {
         if (step1.classList.contains('active')) {
             checkCardBtn.click();
@@ -0,0 +1,89 @@
+// Browser-side card decryption and redemption signing (non-custodial mode).
+// Mirrors the server: PBKDF2-SHA256 (310,000 iterations) + AES-256-GCM via WebCrypto,
+// and the "Redeem card:" message signed with the card's slot key via ethers.
+const CardCrypto = (() => {
+    const PBKDF2_ITERATIONS = 310000;
+    let ethersLoading = null;
+
+    function hexToBytes(hex) {
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    function base64ToBytes(base64) {
+        return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+    }
+
+    // Load ethers only when a card is signed in the browser
+    function loadEthers() {
+        if (window.ethers) return Promise.resolve(window.ethers);
+        if (!ethersLoading) {
+            ethersLoading = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = '/vendor/ethers.umd.min.js';
+                script.onload = () => resolve(window.ethers);
+                script.onerror = () => reject(new Error(I18n.t('crypto.loadFailed')));
+                document.head.appendChild(script);
+            });
+        }
+        return ethersLoading;
+    }
+
+    function isSupported() {
+        return Boolean(window.crypto && window.crypto.subtle);
+    }
+
+    // Decrypt the card's private key with its secret
+    async function decryptPrivateKey(encryptedData, cardSecret) {
+        if (!isSupported()) {
+            throw new Error(I18n.t('crypto.unsupported'));
+        }
+
+        try {
+            const data = JSON.parse(encryptedData);
+            const normalizedSecret = cardSecret.replace(/-/g, '').toUpperCase();
+
+            const baseKey = await crypto.subtle.importKey(
+                'raw', new TextEncoder().encode(normalizedSecret), 'PBKDF2', false, ['deriveKey']
+            );
+            const key = await crypto.subtle.deriveKey(
+                { name: 'PBKDF2', salt: hexToBytes(data.salt), iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+                baseKey,
+                { name: 'AES-GCM', length: 256 },
+                false,
+                ['decrypt']
+            );
+
+            // WebCrypto expects the 16-byte auth tag appended to the ciphertext, as stored
+            const decrypted = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: hexToBytes(data.iv), tagLength: 128 },
+                key,
+                base64ToBytes(data.ciphertext)
+            );
+            return new TextDecoder().decode(decrypted);
+        } catch (error) {
+            throw new Error(I18n.t('enterCard.invalidSecret'));
+        }
+    }
+
+    // Address of a decrypted card key, to check it against the card's slot
+    async function addressOf(privateKey) {
+        const ethers = await loadEthers();
+        return new ethers.Wallet(privateKey).address;
+    }
+
+    // Sign the redemption of cardId to recipientAddress with the card key
+    async function signRedemption(privateKey, cardId, recipientAddress) {
+        const ethers = await loadEthers();
+        const messageHash = ethers.utils.solidityKeccak256(
+            ['string', 'string', 'string', 'address'],
+            ['Redeem card:', cardId, 'to:', recipientAddress]
+        );
+        return new ethers.Wallet(privateKey).signMessage(ethers.utils.arrayify(messageHash));
+    }
+
+    return { isSupported, decryptPrivateKey, addressOf, signRedemption };
+})();
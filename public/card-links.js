@@ -0,0 +1,92 @@
+// Card details from redemption links, QR codes and pasted text.
+// Links carry the card in the URL fragment (/#card=1234567&secret=ABCDE-FGHIJ-KLMNO-PQRST)
+// so the secret is never sent to the server or written to its logs.
+const CardLinks = (() => {
+    const CARD_ID_KEYS = ['card', 'cardId', 'card_id', 'id'];
+    const SECRET_KEYS = ['secret', 'cardSecret', 'card_secret', 's'];
+    // Secrets are 20 letters, usually written in groups of five
+    const SECRET_PATTERN = /\b([A-Z]{5})[-\s]?([A-Z]{5})[-\s]?([A-Z]{5})[-\s]?([A-Z]{5})\b/i;
+
+    // NFKC turns full-width letters (from CJK input methods) into A-Z
+    function normalizeSecret(value) {
+        const letters = String(value || '').normalize('NFKC').replace(/[^A-Za-z]/g, '').toUpperCase();
+        return letters.length === 20 ? letters.match(/.{5}/g).join('-') : null;
+    }
+
+    function normalizeCardId(value) {
+        const cardId = String(value || '').trim();
+        return /^\d+$/.test(cardId) ? cardId : null;
+    }
+
+    function pick(get, keys) {
+        for (const key of keys) {
+            const value = get(key);
+            if (value) return value;
+        }
+        return null;
+    }
+
+    function result(cardId, cardSecret) {
+        cardId = normalizeCardId(cardId);
+        cardSecret = normalizeSecret(cardSecret);
+        return cardId || cardSecret ? { cardId, cardSecret } : null;
+    }
+
+    // Query string and fragment parameters of a link (including univoucher: style URIs)
+    function fromUrl(text) {
+        let url;
+        try {
+            url = new URL(text);
+        } catch (error) {
+            return null;
+        }
+        const params = new URLSearchParams(url.search);
+        new URLSearchParams(url.hash.replace(/^#/, '')).forEach((value, key) => params.set(key, value));
+        return result(pick(key => params.get(key), CARD_ID_KEYS), pick(key => params.get(key), SECRET_KEYS));
+    }
+
+    // Exported JSON such as {"cardId": "1234567", "cardSecret": "ABCDE-..."}
+    function fromJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return null;
+        }
+        if (!data || typeof data !== 'object') return null;
+        return result(pick(key => data[key], CARD_ID_KEYS), pick(key => data[key], SECRET_KEYS));
+    }
+
+    // Free text: "1234567,ABCDE-FGHIJ-KLMNO-PQRST", "Card ID: 1234567 / Secret: ...", etc.
+    function fromText(text) {
+        const secretMatch = text.match(SECRET_PATTERN);
+        const rest = secretMatch ? text.replace(secretMatch[0], ' ') : text;
+        const labelled = rest.match(/card\s*(?:id|#|no\.?|number)?\s*[:=#]?\s*(\d+)/i);
+        const bare = rest.match(/\b(\d{5,})\b/);
+        return result((labelled || bare || [])[1], secretMatch && secretMatch[0]);
+    }
+
+    // Card ID and secret found in a scanned or pasted string, or null.
+    // Either field may be null when only one of them was found.
+    function parse(text) {
+        const value = String(text || '').normalize('NFKC').trim();
+        if (!value) return null;
+        return fromUrl(value) || fromJson(value) || fromText(value);
+    }
+
+    // Card details from the current page's link, or null
+    function fromLocation() {
+        if (!location.hash && !location.search) return null;
+        return fromUrl(location.href);
+    }
+
+    // Drop the card details from the address bar and browser history
+    function stripFromLocation() {
+        const params = new URLSearchParams(location.search);
+        [...CARD_ID_KEYS, ...SECRET_KEYS].forEach(key => params.delete(key));
+        const search = params.toString();
+        history.replaceState(history.state, '', `${location.pathname}${search ? `?${search}` : ''}`);
+    }
+
+    return { parse, fromLocation, stripFromLocation };
+})();
@@ -0,0 +1,188 @@
+// Translations and locale-aware formatting for the web pages.
+// Messages live in public/locales/<locale>.json; the locale is the one picked in the language
+// switcher (remembered in localStorage), else the first supported browser language, else English.
+// Static markup is translated through data-i18n attributes, dynamic text with I18n.t().
+const I18n = (() => {
+    const DEFAULT_LOCALE = 'en';
+    // Supported locales, named in their own language for the switcher
+    const LOCALES = {
+        en: 'English',
+        es: 'Español',
+        fr: 'Français',
+        de: 'Deutsch'
+    };
+    const STORAGE_KEY = 'redeemBase.locale';
+    // Next to this script, so pages under other paths (e.g. receipts) find them too
+    const LOCALES_URL = new URL('locales/', document.currentScript.src);
+
+    const messages = {};
+    const listeners = [];
+    let locale = DEFAULT_LOCALE;
+
+    async function load(code) {
+        if (messages[code]) return;
+        const response = await fetch(new URL(`${code}.json`, LOCALES_URL));
+        if (!response.ok) throw new Error(`Failed to load the ${code} translations`);
+        messages[code] = await response.json();
+    }
+
+    // Storage is unavailable in some private modes
+    function storedLocale() {
+        try {
+            return localStorage.getItem(STORAGE_KEY);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function detect() {
+        const stored = storedLocale();
+        if (LOCALES[stored]) return stored;
+        for (const tag of navigator.languages || [navigator.language]) {
+            const language = String(tag || '').toLowerCase().split('-')[0];
+            if (LOCALES[language]) return language;
+        }
+        return DEFAULT_LOCALE;
+    }
+
+    function lookup(code, key) {
+        return key.split('.').reduce((value, part) => (value ? value[part] : undefined), messages[code]);
+    }
+
+    // Whether the current locale has its own message for key
+    function has(key) {
+        return lookup(locale, key) !== undefined;
+    }
+
+    // Message for key with {name} placeholders filled in from params (numbers are formatted).
+    // Messages with plural forms ({ "one": ..., "other": ... }) are chosen by params.count.
+    // Falls back to English, then to the key itself.
+    function t(key, params = {}) {
+        let message = lookup(locale, key);
+        if (message === undefined) message = lookup(DEFAULT_LOCALE, key);
+        if (message === undefined) return key;
+        if (typeof message === 'object') {
+            message = message[new Intl.PluralRules(locale).select(params.count)] || message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            const value = params[name];
+            if (value === undefined) return placeholder;
+            return typeof value === 'number' ? formatNumber(value) : value;
+        });
+    }
+
+    function formatNumber(value, options) {
+        return new Intl.NumberFormat(locale, options).format(value);
+    }
+
+    // percent is in percent, e.g. 1 for 1%
+    function formatPercent(percent) {
+        return formatNumber(percent / 100, { style: 'percent', maximumFractionDigits: 2 });
+    }
+
+    function formatDate(value, options = { dateStyle: 'medium' }) {
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? String(value) : new Intl.DateTimeFormat(locale, options).format(date);
+    }
+
+    function formatDateTime(value) {
+        return formatDate(value, { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    // An API amount such as "1234.5 USDC" with the locale's separators ("1.234,5 USDC").
+    // The digits are kept as sent: token amounts can have more decimals than a Number holds.
+    function formatAmount(text) {
+        const match = /^(\d+)(?:\.(\d+))?(\s.*)?$/.exec(String(text));
+        if (!match) return text;
+        const [, whole, fraction, unit = ''] = match;
+        const decimal = new Intl.NumberFormat(locale, { minimumFractionDigits: 1 })
+            .formatToParts(1.5)
+            .find(part => part.type === 'decimal').value;
+        return `${formatNumber(BigInt(whole))}${fraction ? `${decimal}${fraction}` : ''}${unit}`;
+    }
+
+    // Translate the static markup under root:
+    //   data-i18n="key"             text content
+    //   data-i18n-html="key"        HTML content (for messages with links)
+    //   data-i18n-placeholder="key" placeholder
+    //   data-i18n-aria-label="key"  aria-label
+    function apply(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-html]').forEach(element => {
+            element.innerHTML = t(element.dataset.i18nHtml);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = t(element.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+            element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+        });
+    }
+
+    async function setLocale(code) {
+        if (!LOCALES[code]) code = DEFAULT_LOCALE;
+        await load(code);
+        locale = code;
+        document.documentElement.lang = code;
+        try {
+            localStorage.setItem(STORAGE_KEY, code);
+        } catch (error) {
+            // Keeps the choice for this page only
+        }
+        apply();
+        listeners.forEach(listener => listener(code));
+    }
+
+    // Load English (the fallback) and the detected locale, and translate the page
+    async function init() {
+        try {
+            await load(DEFAULT_LOCALE);
+        } catch (error) {
+            // The page keeps its English markup
+            return;
+        }
+        const detected = detect();
+        try {
+            await load(detected);
+            locale = detected;
+        } catch (error) {
+            locale = DEFAULT_LOCALE;
+        }
+        document.documentElement.lang = locale;
+        apply();
+    }
+
+    // Fill a <select> with the supported locales and switch when it changes
+    function mountSwitcher(select) {
+        select.innerHTML = Object.entries(LOCALES)
+            .map(([code, name]) => `<option value="${code}" lang="${code}">${name}</option>`)
+            .join('');
+        select.value = locale;
+        select.addEventListener('change', () => setLocale(select.value));
+    }
+
+    // Call listener(locale) after every switch, to re-render dynamic content
+    function onChange(listener) {
+        listeners.push(listener);
+    }
+
+    return {
+        init,
+        t,
+        has,
+        setLocale,
+        mountSwitcher,
+        onChange,
+        apply,
+        formatNumber,
+        formatPercent,
+        formatDate,
+        formatDateTime,
+        formatAmount,
+        get locale() {
+            return locale;
+        }
+    };
+})();
@@ -0,0 +1,95 @@
+// Camera QR code scanning. Uses the browser's BarcodeDetector where available
+// and falls back to jsQR, which is only loaded when a scan starts.
+const QrScanner = (() => {
+    let jsQRLoading = null;
+
+    function loadJsQR() {
+        if (window.jsQR) return Promise.resolve(window.jsQR);
+        if (!jsQRLoading) {
+            jsQRLoading = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = '/vendor/jsQR.js';
+                script.onload = () => resolve(window.jsQR);
+                script.onerror = () => reject(new Error(I18n.t('qr.loadFailed')));
+                document.head.appendChild(script);
+            });
+        }
+        return jsQRLoading;
+    }
+
+    function isSupported() {
+        return Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    }
+
+    // Frame decoder returning the QR text in the video frame, or null
+    async function createDecoder(video) {
+        if ('BarcodeDetector' in window) {
+            const formats = await BarcodeDetector.getSupportedFormats();
+            if (formats.includes('qr_code')) {
+                const detector = new BarcodeDetector({ formats: ['qr_code'] });
+                return async () => {
+                    const codes = await detector.detect(video);
+                    return codes.length ? codes[0].rawValue : null;
+                };
+            }
+        }
+
+        const jsQR = await loadJsQR();
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        return async () => {
+            canvas.width = video.videoWidth;
+            canvas.height = video.videoHeight;
+            context.drawImage(video, 0, 0, canvas.width, canvas.height);
+            const image = context.getImageData(0, 0, canvas.width, canvas.height);
+            const code = jsQR(image.data, image.width, image.height, { inversionAttempts: 'dontInvert' });
+            return code ? code.data : null;
+        };
+    }
+
+    // Show the rear camera in video and call onCode with every QR code read until stop() is called.
+    // Resolves to the stop function; rejects when the camera cannot be opened.
+    async function start(video, onCode) {
+        if (!isSupported()) {
+            throw new Error(I18n.t('qr.unsupported'));
+        }
+
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+        } catch (error) {
+            throw new Error(I18n.t('qr.cameraFailed'));
+        }
+
+        let stopped = false;
+        let frame = null;
+        function stop() {
+            stopped = true;
+            cancelAnimationFrame(frame);
+            stream.getTracks().forEach(track => track.stop());
+            video.srcObject = null;
+        }
+
+        try {
+            video.srcObject = stream;
+            await video.play();
+            const decode = await createDecoder(video);
+
+            const scan = async () => {
+                if (stopped) return;
+                if (video.readyState >= video.HAVE_ENOUGH_DATA) {
+                    const text = await decode().catch(() => null);
+                    if (text && !stopped) onCode(text);
+                }
+                if (!stopped) frame = requestAnimationFrame(scan);
+            };
+            frame = requestAnimationFrame(scan);
+        } catch (error) {
+            stop();
+            throw error;
+        }
+        return stop;
+    }
+
+    return { isSupported, start };
+})();
@@ -0,0 +1,93 @@
+// Receipt page for a redemption transaction: /tx/<chainId>/<hash>
+const receipt = document.getElementById('receipt');
+const errorMessage = document.getElementById('errorMessage');
+const languageSelect = document.getElementById('languageSelect');
+
+// Statuses after which the transaction no longer changes
+const FINAL_STATUSES = ['confirmed', 'replaced', 'dropped', 'failed'];
+
+const REFRESH_MS = 5000;
+
+// Where the app is mounted, for API calls and links to other receipts
+const BASE_PATH = location.pathname.replace(/\/tx\/.*$/, '');
+
+function showError(message) {
+    errorMessage.textContent = message;
+    errorMessage.classList.remove('hidden');
+}
+
+// Text from the API, for use in HTML (quotes too, for attribute values)
+function escapeHtml(value) {
+    const element = document.createElement('span');
+    element.textContent = value;
+    return element.innerHTML.replace(/"/g, '&quot;');
+}
+
+// Link from the API for an href: only http(s), escaped for the attribute
+function safeUrl(url) {
+    return /^https?:\/\//i.test(url) ? escapeHtml(url) : '#';
+}
+
+function shortHash(hash) {
+    return `${hash.slice(0, 10)}…${hash.slice(-8)}`;
+}
+
+// The transaction shown, kept to re-render it in another language
+let shown = null;
+
+function render(tx) {
+    shown = tx;
+    const { t } = I18n;
+    const status = I18n.has(`receipt.statuses.${tx.status}`) ? t(`receipt.statuses.${tx.status}`) : tx.status;
+    const confirmations = tx.status === 'mined' || tx.status === 'confirmed'
+        ? `<p><strong>${t('receipt.confirmations')}</strong> ${t('receipt.confirmationsOf', { count: Math.min(tx.confirmations, tx.requiredConfirmations), required: tx.requiredConfirmations })}</p>`
+        : '';
+
+    receipt.innerHTML = `
+        <h3>${escapeHtml(status)}</h3>
+        <p><strong>${t('receipt.card')}</strong> ${escapeHtml(tx.cardId)}</p>
+        <p><strong>${t('receipt.recipient')}</strong> ${escapeHtml(tx.recipientAddress)}</p>
+        <p><strong>${t('receipt.network')}</strong> ${escapeHtml(tx.chainName)}</p>
+        <p><strong>${t('receipt.transaction')}</strong> ${tx.explorerUrl ? `<a href="${safeUrl(tx.explorerUrl)}" target="_blank">${escapeHtml(shortHash(tx.hash))}</a>` : escapeHtml(tx.hash)}</p>
+        ${tx.blockNumber ? `<p><strong>${t('receipt.block')}</strong> ${I18n.formatNumber(tx.blockNumber)}</p>` : ''}
+        ${confirmations}
+        ${tx.submittedAt ? `<p><strong>${t('receipt.submitted')}</strong> ${I18n.formatDateTime(tx.submittedAt)}</p>` : ''}
+        ${tx.replacedBy ? `<p class="warning">${t('receipt.replaced', { url: escapeHtml(`${BASE_PATH}/tx/${tx.chainId}/${tx.replacedBy}`) })}</p>` : ''}
+        ${tx.reorgs ? `<p class="warning">${t('receipt.reorged', { count: tx.reorgs })}</p>` : ''}
+        ${tx.error ? `<p class="warning">${escapeHtml(tx.error)}</p>` : ''}
+    `;
+}
+
+async function load() {
+    const match = /\/tx\/(\d+)\/(0x[0-9a-fA-F]{64})\/?$/.exec(location.pathname);
+    if (!match) {
+        receipt.classList.add('hidden');
+        showError(I18n.t('receipt.invalidLink'));
+        return;
+    }
+
+    try {
+        const response = await fetch(`${BASE_PATH}/api/tx/${match[1]}/${match[2]}`);
+        const tx = await response.json();
+        if (!response.ok) {
+            receipt.classList.add('hidden');
+            showError(tx.error || I18n.t('receipt.loadFailed'));
+            return;
+        }
+        errorMessage.classList.add('hidden');
+        render(tx);
+        if (!FINAL_STATUSES.includes(tx.status)) setTimeout(load, REFRESH_MS);
+    } catch (error) {
+        // Network hiccup - try again
+        setTimeout(load, REFRESH_MS);
+    }
+}
+
+I18n.onChange(() => {
+    if (shown) render(shown);
+});
+
+I18n.init().then(() => {
+    I18n.mountSwitcher(languageSelect);
+    load();
+});
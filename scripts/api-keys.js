@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+// Admin command for API keys: npm run api-keys -- <create|list|revoke> [options]
+const path = require('path');
+const { createApiKeyStore } = require('../lib/api-keys');
+
+const API_KEYS_FILE = process.env.API_KEYS_FILE || path.join(__dirname, '..', 'data', 'api-keys.json');
+
+const USAGE = `Usage: npm run api-keys -- <command>
+
+Commands:
+  create --name <name> [options]   Issue a key (the key is printed once, store it safely)
+    --rate-limit <n>               Requests per minute (default: 60)
+    --daily-gas <chainId:amount>   Daily gas budgets in native units, e.g. 8453:0.05,1:0.02
+    --chains <ids>                 Chains the key may redeem on, e.g. 8453,10 (default: all)
+    --origins <origins>            Browser origins allowed to use the key, e.g. https://shop.example
+                                   (default: none, server-side use only)
+    --partner <address>            Partner address for this key's redemptions (charges the partner fee)
+  list                             List keys
+  revoke <id>                      Revoke a key
+
+Keys are stored in API_KEYS_FILE (default: data/api-keys.json); a running server picks up changes.`;
+
+// Parse "--flag value" pairs
+function parseOptions(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    if (!args[i].startsWith('--') || args[i + 1] === undefined) throw new Error(`Unexpected argument "${args[i]}"`);
+    options[args[i].slice(2)] = args[i + 1];
+  }
+  return options;
+}
+
+function main(argv) {
+  const [command, ...args] = argv;
+  const store = createApiKeyStore({ file: API_KEYS_FILE });
+
+  if (command === 'create') {
+    const options = parseOptions(args);
+    const { key, record } = store.issue({
+      name: options.name,
+      rateLimitPerMinute: options['rate-limit'],
+      dailyGasBudget: options['daily-gas'],
+      allowedChains: options.chains,
+      allowedOrigins: options.origins,
+      partnerAddress: options.partner
+    });
+    console.log(JSON.stringify(record, null, 2));
+    console.log(`\nAPI key (shown only once): ${key}`);
+    return;
+  }
+
+  if (command === 'list') {
+    console.log(JSON.stringify(store.list(), null, 2));
+    return;
+  }
+
+  if (command === 'revoke') {
+    if (!args[0]) throw new Error('Key ID required');
+    const record = store.revoke(args[0]);
+    if (!record) throw new Error(`Key ${args[0]} not found`);
+    console.log(`Revoked ${record.id} (${record.name})`);
+    return;
+  }
+
+  console.log(USAGE);
+  if (command && command !== 'help') process.exitCode = 1;
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+}